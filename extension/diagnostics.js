@@ -0,0 +1,343 @@
+const $ = (id) => document.getElementById(id);
+
+const DEBUG_BUNDLE_FORMAT = "live-notifier-debug";
+const REDACTED = "[redacted]";
+// 내보낼 때 값 대신 설정 여부만 남기는 설정
+const REDACTED_SETTINGS = ["twitchClientId", "twitchAccessToken"];
+
+// 진단 코드 -> 문구 key(모르는 코드는 그대로 표시)
+const DECISION_LABELS = {
+  notified: "diagDecisionNotified",
+  batched: "diagDecisionBatched",
+  cooldown: "diagDecisionCooldown",
+  rule: "diagDecisionRule",
+  muted: "popupMute",
+  snoozed: "diagDecisionSnoozed",
+  "quiet-queued": "diagDecisionQuietQueued",
+  "quiet-dropped": "diagDecisionQuietDropped",
+};
+const VERDICT_LABELS = {
+  first: "diagVerdictFirst",
+  "sig-changed": "diagVerdictSigChanged",
+  "no-cooldown": "diagVerdictNoCooldown",
+  "cooldown-elapsed": "diagVerdictCooldownElapsed",
+  cooldown: "diagVerdictCooldown",
+};
+const AUTO_OPEN_LABELS = {
+  opened: "diagAutoOpenOpened",
+  duplicate: "diagAutoOpenDuplicate",
+  locked: "diagAutoOpenLocked",
+  error: "diagAutoOpenError",
+};
+const EVENT_LABELS = {
+  live: "eventTypeLive",
+  end: "eventTypeEnd",
+  title: "eventTypeTitle",
+  category: "eventTypeCategory",
+  viewers: "eventTypeViewers",
+  surge: "eventTypeSurge",
+};
+const REASON_LABELS = { alarm: "diagReasonAlarm", manual: "diagReasonManual" };
+
+function labelOf(labels, code) {
+  return labels[code] ? i18n(labels[code]) : code;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+function formatDateTime(ts) {
+  if (!ts) return "";
+  const d = new Date(ts);
+  const pad = (n) => n.toString().padStart(2, "0");
+  return `${d.getMonth() + 1}/${d.getDate()} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+/** key -> 표시 이름(감시 목록에서 지운 채널은 기록에 남은 이름, 간단 기록은 key) */
+function channelNames(watchlist, trace) {
+  const names = new Map(watchlist.map((x) => [x.key, channelDisplayName(x)]));
+  for (const poll of trace) {
+    for (const ch of poll.channels) {
+      if (!names.has(ch.key)) names.set(ch.key, i18n("historyDeletedChannel", ch.name || ch.key));
+    }
+  }
+  return names;
+}
+
+/** 변화 없는 채널의 간단 기록(key / 응답 코드 / 해석 결과)을 다른 채널과 같은 모양으로 펼침 */
+function expandTraceChannel(ch, names) {
+  if (!ch.unchanged) return ch;
+  const parsed = { isLive: ch.isLive, signature: ch.signature };
+  return {
+    key: ch.key,
+    name: names.get(ch.key) || ch.key,
+    fetchOk: true,
+    fetchMs: null,
+    requests: ch.statuses.map((status) => ({ status })),
+    parsed,
+    prev: parsed,
+    events: [],
+  };
+}
+
+function renderChannelOptions(names, selected) {
+  const select = $("channel");
+  select.innerHTML = `<option value="">${escapeHtml(i18n("historyAllChannels"))}</option>`;
+  for (const [key, name] of names) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = `${name} · ${platformLabel(key.split(":")[0])}`;
+    select.appendChild(opt);
+  }
+  select.value = names.has(selected) ? selected : "";
+}
+
+function channelMatches(ch, { key, eventsOnly, errorsOnly }) {
+  if (key && ch.key !== key) return false;
+  if (eventsOnly && !ch.events.length && !ch.autoOpen) return false;
+  if (errorsOnly && ch.fetchOk) return false;
+  return true;
+}
+
+function renderRequests(ch) {
+  if (ch.skipped) return `<span class="muted">${escapeHtml(i18n("diagSkippedBackoff"))}</span>`;
+  if (!ch.requests.length) return `<span class="muted">-</span>`;
+  return ch.requests
+    .map((r) => {
+      const cls = r.status >= 200 && r.status < 400 ? "log-ok" : "log-fail";
+      const label = r.status || (r.error ? "ERR" : "0");
+      const detail = r.host ? ` <span class="muted">${escapeHtml(r.host)} · ${r.ms}ms</span>` : "";
+      return `<div><span class="${cls}">${escapeHtml(label)}</span>${detail}</div>`;
+    })
+    .join("");
+}
+
+function renderParsed(ch) {
+  const p = ch.parsed;
+  return `
+    <div>${p.isLive ? `<span class="log-ok">LIVE</span>` : `<span class="muted">OFF</span>`} <code>${escapeHtml(p.signature)}</code>${Number.isFinite(p.viewers) ? ` <span class="muted">👥 ${formatNumber(p.viewers)}</span>` : ""}</div>
+    ${p.title ? `<div class="muted">${escapeHtml(p.title)}${p.category ? ` · ${escapeHtml(p.category)}` : ""}</div>` : ""}
+    ${ch.fetchOk ? "" : `<div class="warn">${escapeHtml(ch.error || i18n("diagFetchFailed"))}</div>`}`;
+}
+
+function renderTransition(ch) {
+  if (!ch.prev) return `<span class="muted">${escapeHtml(i18n("diagFirstSeen"))}</span>`;
+  const from = ch.prev.isLive ? "LIVE" : "OFF";
+  const to = ch.parsed.isLive ? "LIVE" : "OFF";
+  const sigChanged = ch.prev.signature !== ch.parsed.signature;
+  return `${from} → ${to}${sigChanged ? ` <span class="muted">(${escapeHtml(i18n("diagVerdictSigChanged"))})</span>` : ""}`;
+}
+
+function renderEvents(ch) {
+  const autoOpen = ch.autoOpen ? `<div class="muted">${escapeHtml(labelOf(AUTO_OPEN_LABELS, ch.autoOpen))}</div>` : "";
+  if (!ch.events.length) return autoOpen || `<span class="muted">${escapeHtml(i18n("diagNoEvents"))}</span>`;
+  return ch.events
+    .map((ev) => {
+      const why = labelOf(VERDICT_LABELS, ev.verdict.why);
+      const remaining = ev.verdict.remainingMs ? `, ${i18n("diagMinutesLeft", Math.ceil(ev.verdict.remainingMs / 60000))}` : "";
+      const hooks = ev.webhooks ? ` · ${i18n("diagWebhooks", ev.webhooks)}` : "";
+      return `
+        <div>
+          <strong>${escapeHtml(labelOf(EVENT_LABELS, ev.type))}</strong>:
+          <span class="${ev.decision === "notified" || ev.decision === "batched" ? "log-ok" : ""}">${escapeHtml(ev.decision ? labelOf(DECISION_LABELS, ev.decision) : "-")}</span>
+          <span class="muted">(${escapeHtml(why + remaining)})${escapeHtml(hooks)}</span>
+        </div>`;
+    })
+    .join("") + autoOpen;
+}
+
+function renderPoll(poll, filter, names) {
+  const all = poll.channels.map((ch) => expandTraceChannel(ch, names));
+  const channels = all.filter((ch) => channelMatches(ch, filter));
+  if (!channels.length) return "";
+
+  const failures = all.filter((ch) => !ch.fetchOk).length;
+  return `
+    <div class="card">
+      <div class="row">
+        <strong>${escapeHtml(formatDateTime(poll.at))}</strong>
+        <span class="muted">
+          ${escapeHtml(labelOf(REASON_LABELS, poll.reason))} · ${poll.durationMs}ms ·
+          ${escapeHtml(i18n("diagPollChannels", poll.channels.length))}${
+            failures ? ` · ${escapeHtml(i18n("diagPollFailures", failures))}` : ""
+          }${poll.quiet ? ` · ${escapeHtml(i18n("diagPollQuiet"))}` : ""}
+        </span>
+      </div>
+      <table class="table">
+        <thead>
+          <tr>
+            <th>${escapeHtml(i18n("historyChannel"))}</th>
+            <th>${escapeHtml(i18n("diagColResponse"))}</th>
+            <th>${escapeHtml(i18n("diagColParsed"))}</th>
+            <th>${escapeHtml(i18n("diagColTransition"))}</th>
+            <th>${escapeHtml(i18n("diagColDecision"))}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${channels
+            .map(
+              (ch) => `
+            <tr>
+              <td>${escapeHtml(ch.name)}${
+                Number.isFinite(ch.fetchMs) ? `<div class="muted" style="font-size:12px;">${ch.fetchMs}ms</div>` : ""
+              }</td>
+              <td>${renderRequests(ch)}</td>
+              <td>${renderParsed(ch)}</td>
+              <td>${renderTransition(ch)}</td>
+              <td>${renderEvents(ch)}</td>
+            </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+async function render() {
+  const { watchlist = [], pollTrace = [] } = await chrome.storage.local.get(["watchlist", "pollTrace"]);
+  const selected = $("channel").value || new URLSearchParams(location.search).get("key") || "";
+  const names = channelNames(watchlist, pollTrace);
+  renderChannelOptions(names, selected);
+
+  const filter = {
+    key: $("channel").value,
+    eventsOnly: $("eventsOnly").checked,
+    errorsOnly: $("errorsOnly").checked,
+  };
+  const reason = $("reason").value;
+
+  // 최신 폴링부터
+  const polls = pollTrace.filter((p) => !reason || p.reason === reason).reverse();
+  const html = polls.map((p) => renderPoll(p, filter, names)).join("");
+
+  $("summary").textContent = i18n("diagSummary", pollTrace.length);
+  $("polls").innerHTML = html || `<div class="card muted">${escapeHtml(i18n("diagEmpty"))}</div>`;
+}
+
+/** 저장소 스키마 버전 / 마지막 마이그레이션 결과. 백업이 남아 있으면(끝나지 못한 마이그레이션) 되돌리기 버튼 */
+async function renderSchema() {
+  const { schemaVersion = 0, schemaStatus = null, schemaBackup = null } = await chrome.storage.local.get([
+    "schemaVersion",
+    "schemaStatus",
+    "schemaBackup",
+  ]);
+
+  $("schemaSummary").textContent = `v${schemaVersion}`;
+  $("rollbackBtn").style.display = schemaBackup ? "" : "none";
+
+  const lines = [];
+  if (schemaStatus) {
+    const range = `v${schemaStatus.fromVersion} → v${schemaStatus.toVersion}`;
+    if (schemaStatus.ok) lines.push(i18n("diagSchemaOk", range, formatDateTime(schemaStatus.at)));
+    else {
+      const error = schemaStatus.error || i18n("unknownError");
+      lines.push(i18n("diagSchemaFailed", range, formatDateTime(schemaStatus.at), error));
+      lines.push(i18n(schemaStatus.rolledBack ? "diagSchemaRolledBack" : "diagSchemaNotRolledBack"));
+    }
+  }
+  if (schemaBackup) {
+    lines.push(i18n("diagSchemaBackup", `v${schemaBackup.fromVersion}`, formatDateTime(schemaBackup.at)));
+  }
+  $("schemaStatus").innerHTML = lines.length
+    ? lines.map((x) => `<div>${escapeHtml(x)}</div>`).join("")
+    : escapeHtml(i18n("diagSchemaNone"));
+}
+
+async function rollbackSchema() {
+  if (!confirm(i18n("diagSchemaRollbackConfirm"))) return;
+  const res = await chrome.runtime.sendMessage({ type: "rollbackMigration" });
+  if (!res?.ok) alert(i18n("popupFailed", res?.error || i18n("unknownError")));
+  await renderSchema();
+}
+
+/** 웹훅 주소에는 토큰이 들어 있으므로 호스트만 남김 */
+function redactUrl(url) {
+  try {
+    return `${new URL(url).origin}/${REDACTED}`;
+  } catch {
+    return REDACTED;
+  }
+}
+
+function redactSettings(settings) {
+  const out = { ...settings };
+  for (const k of REDACTED_SETTINGS) if (out[k]) out[k] = REDACTED;
+  return out;
+}
+
+async function buildDebugBundle() {
+  const data = await chrome.storage.local.get([
+    "watchlist",
+    "settings",
+    "state",
+    "pollHealth",
+    "pollTrace",
+    "webhooks",
+    "rules",
+    "tagSettings",
+    "syncEnabled",
+    "syncStatus",
+    "schemaVersion",
+    "schemaStatus",
+  ]);
+
+  return {
+    format: DEBUG_BUNDLE_FORMAT,
+    generatedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    schemaVersion: data.schemaVersion ?? 0,
+    schemaStatus: data.schemaStatus || null,
+    settings: redactSettings(data.settings || {}),
+    watchlist: data.watchlist || [],
+    state: data.state || {},
+    pollHealth: data.pollHealth || null,
+    pollTrace: data.pollTrace || [],
+    webhooks: (data.webhooks || []).map((t) => ({ ...t, url: redactUrl(t.url) })),
+    rules: data.rules || [],
+    tagSettings: data.tagSettings || {},
+    sync: { enabled: !!data.syncEnabled, status: data.syncStatus || null },
+  };
+}
+
+async function exportDebugBundle() {
+  const bundle = await buildDebugBundle();
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `live-notifier-debug-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+for (const id of ["channel", "reason", "eventsOnly", "errorsOnly"]) $(id).addEventListener("change", render);
+$("refreshBtn").addEventListener("click", () => {
+  render();
+  renderSchema();
+});
+$("rollbackBtn").addEventListener("click", rollbackSchema);
+$("exportBtn").addEventListener("click", exportDebugBundle);
+
+$("openOptions").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// 새 폴링이 기록되면 자동 갱신
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.pollTrace) render();
+  if (areaName === "local" && (changes.schemaStatus || changes.schemaBackup || changes.schemaVersion)) renderSchema();
+});
+
+i18nReady.then(() => {
+  applyI18n();
+  render();
+  renderSchema();
+});
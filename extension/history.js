@@ -0,0 +1,160 @@
+const $ = (id) => document.getElementById(id);
+
+const WEEKS_SHOWN = 8;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+function formatDateTime(ts) {
+  if (!ts) return "";
+  const d = new Date(ts);
+  const pad = (n) => n.toString().padStart(2, "0");
+  return `${d.getMonth() + 1}/${d.getDate()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/** 월요일 00:00(로컬) 기준 주 시작 */
+function startOfWeek(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+function sessionEnd(s, now) {
+  return s.endedAt || s.lastSeenAt || now;
+}
+
+function renderChannelOptions(watchlist, sessions, selected) {
+  const select = $("channel");
+  const names = new Map(watchlist.map((x) => [x.key, channelDisplayName(x)]));
+  for (const s of sessions) if (!names.has(s.key)) names.set(s.key, i18n("historyDeletedChannel", s.name || s.id));
+
+  select.innerHTML = `<option value="">${escapeHtml(i18n("historyAllChannels"))}</option>`;
+  for (const [key, name] of names) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = `${name} · ${platformLabel(key.split(":")[0])}`;
+    select.appendChild(opt);
+  }
+  select.value = names.has(selected) ? selected : "";
+}
+
+function renderWeekly(sessions, now) {
+  const thisWeek = startOfWeek(now);
+  const weeks = Array.from({ length: WEEKS_SHOWN }, (_, i) => {
+    const start = thisWeek - (WEEKS_SHOWN - 1 - i) * WEEK_MS;
+    return { start, end: start + WEEK_MS, ms: 0 };
+  });
+
+  for (const s of sessions) {
+    const end = sessionEnd(s, now);
+    for (const w of weeks) {
+      const overlap = Math.min(end, w.end) - Math.max(s.startedAt, w.start);
+      if (overlap > 0) w.ms += overlap;
+    }
+  }
+
+  const max = Math.max(1, ...weeks.map((w) => w.ms));
+  $("weekly").innerHTML = weeks
+    .map((w) => {
+      const d = new Date(w.start);
+      const pct = Math.round((w.ms / max) * 100);
+      return `
+        <div class="bar-row">
+          <span class="bar-label">${d.getMonth() + 1}/${d.getDate()}~</span>
+          <span class="bar"><span style="width:${pct}%"></span></span>
+          <span class="bar-value">${escapeHtml(i18n("historyWeekHours", (w.ms / 3600000).toFixed(1)))}</span>
+        </div>`;
+    })
+    .join("");
+}
+
+function renderHeatmap(sessions) {
+  // [요일(월=0)][시] -> 시작 횟수
+  const [sunday, ...weekdays] = weekdayLabels();
+  const dayLabels = [...weekdays, sunday];
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  for (const s of sessions) {
+    const d = new Date(s.startedAt);
+    grid[(d.getDay() + 6) % 7][d.getHours()] += 1;
+  }
+  const max = Math.max(1, ...grid.flat());
+
+  const header = `<span></span>${Array.from({ length: 24 }, (_, h) => `<span class="heat-hour">${h % 3 === 0 ? h : ""}</span>`).join("")}`;
+  const rows = grid
+    .map(
+      (row, day) =>
+        `<span class="heat-day">${escapeHtml(dayLabels[day])}</span>` +
+        row
+          .map((n, h) => {
+            const alpha = n ? 0.15 + (n / max) * 0.85 : 0;
+            return `<span class="heat-cell" style="background:rgba(76,201,240,${alpha.toFixed(2)})" title="${escapeHtml(i18n("historyHeatCell", dayLabels[day], h, n))}"></span>`;
+          })
+          .join("")
+    )
+    .join("");
+
+  $("heatmap").innerHTML = header + rows;
+}
+
+function renderSessions(sessions, now) {
+  const tbody = $("sessions");
+  const sorted = [...sessions].sort((a, b) => b.startedAt - a.startedAt);
+
+  tbody.innerHTML = sorted.length
+    ? sorted
+        .map((s) => {
+          const end = sessionEnd(s, now);
+          const titles = s.titles || [];
+          return `
+            <tr>
+              <td>${escapeHtml(s.name || s.id)}</td>
+              <td>${escapeHtml(formatDateTime(s.startedAt))}</td>
+              <td>${s.endedAt ? escapeHtml(formatDateTime(s.endedAt)) : `<span class="status live">LIVE</span>`}</td>
+              <td>${escapeHtml(formatDuration(end - s.startedAt))}</td>
+              <td>${escapeHtml(s.category || "")}</td>
+              <td title="${escapeHtml(titles.join("\n"))}">${escapeHtml(titles[titles.length - 1] || "")}${
+                titles.length > 1 ? ` <span class="muted">${escapeHtml(i18n("historyMoreTitles", titles.length - 1))}</span>` : ""
+              }</td>
+              <td>${s.peakViewers != null ? escapeHtml(formatNumber(s.peakViewers)) : "-"}</td>
+            </tr>`;
+        })
+        .join("")
+    : `<tr><td colspan="7" class="muted">${escapeHtml(i18n("historyEmpty"))}</td></tr>`;
+}
+
+async function render() {
+  const { watchlist = [], sessions = [] } = await chrome.storage.local.get(["watchlist", "sessions"]);
+  const selected = $("channel").value || new URLSearchParams(location.search).get("key") || "";
+
+  renderChannelOptions(watchlist, sessions, selected);
+
+  const key = $("channel").value;
+  const filtered = key ? sessions.filter((s) => s.key === key) : sessions;
+  const now = Date.now();
+  const totalMs = filtered.reduce((sum, s) => sum + (sessionEnd(s, now) - s.startedAt), 0);
+
+  $("summary").textContent = i18n("historySummary", filtered.length, formatDuration(totalMs));
+  renderWeekly(filtered, now);
+  renderHeatmap(filtered);
+  renderSessions(filtered, now);
+}
+
+$("channel").addEventListener("change", render);
+
+$("openOptions").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+i18nReady.then(() => {
+  applyI18n();
+  render();
+});
@@ -0,0 +1,107 @@
+/* SOOP/CHZZK Live Notifier - 화면 문구 다국어(ko / en)
+ * - service_worker(importScripts) / 모든 페이지가 같은 파일을 공유
+ * - 문구는 _locales/<lang>/messages.json 에만 둠. 코드에서는 i18n(key, ...값) 으로 가져옴
+ * - 기본은 브라우저 언어(chrome.i18n). 설정의 language 가 있으면 그 언어 파일을 직접 읽어 씀
+ *   (chrome.i18n 은 확장 안에서 언어를 바꿀 수 없음)
+ * - HTML 은 data-i18n(텍스트) / data-i18n-placeholder / data-i18n-title 속성을 applyI18n 으로 채움
+ * - 숫자 / 상대 시간은 현재 문구 언어(메시지 "locale")의 Intl 형식을 따름
+ */
+
+const SUPPORTED_LANGUAGES = ["ko", "en"];
+
+let i18nCatalog = null; // 언어를 직접 고른 경우 그 messages.json, 아니면 null(chrome.i18n 사용)
+
+async function loadI18nCatalog(lang) {
+  const res = await fetch(chrome.runtime.getURL(`_locales/${lang}/messages.json`));
+  if (!res.ok) throw new Error(`locale ${lang}: HTTP ${res.status}`);
+  return await res.json();
+}
+
+/** lang 이 "" 면 브라우저 언어 */
+async function setI18nLanguage(lang) {
+  if (!SUPPORTED_LANGUAGES.includes(lang)) {
+    i18nCatalog = null;
+    return;
+  }
+  try {
+    i18nCatalog = await loadI18nCatalog(lang);
+  } catch (e) {
+    console.warn("[i18n] load failed:", String(e?.message || e));
+    i18nCatalog = null;
+  }
+}
+
+async function initI18n() {
+  const { settings } = await chrome.storage.local.get(["settings"]);
+  await setI18nLanguage(settings?.language || "");
+}
+
+// 문구를 쓰기 전에 기다릴 것(페이지 첫 렌더 / service worker 이벤트 처리). 언어가 바뀌면 새 Promise 로 교체
+let i18nReady = initI18n();
+
+/** chrome.i18n.getMessage 와 같은 규칙: $name$ -> placeholders[name].content 의 $1..$9, $$ -> $ */
+function formatI18nEntry(entry, values) {
+  const fill = (s) => s.replace(/\$(\d)/g, (_, n) => values[n - 1] ?? "");
+  return entry.message.replace(/\$(\w+)\$|\$\$/g, (m, name) => {
+    if (!name) return "$";
+    const ph = entry.placeholders?.[name.toLowerCase()];
+    return ph ? fill(ph.content) : m;
+  });
+}
+
+/** 문구 가져오기. 없는 key 는 key 그대로(빠진 번역이 눈에 띄도록) */
+function i18n(key, ...subs) {
+  const values = subs.map((v) => String(v ?? ""));
+  const entry = i18nCatalog?.[key];
+  if (entry) return formatI18nEntry(entry, values);
+  return chrome.i18n.getMessage(key, values) || key;
+}
+
+/** Intl 에 넘길 언어 코드 */
+function uiLocale() {
+  const locale = i18n("locale");
+  return locale === "locale" ? "ko" : locale;
+}
+
+function applyI18n(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => (el.textContent = i18n(el.dataset.i18n)));
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((el) => (el.placeholder = i18n(el.dataset.i18nPlaceholder)));
+  root.querySelectorAll("[data-i18n-title]").forEach((el) => (el.title = i18n(el.dataset.i18nTitle)));
+  if (root === document) document.documentElement.lang = uiLocale();
+}
+
+function formatNumber(n) {
+  return Number(n).toLocaleString(uiLocale());
+}
+
+function formatDuration(ms) {
+  const totalMin = Math.max(0, Math.round(ms / 60000));
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  if (h > 0) return i18n("durationHoursMinutes", h, m);
+  return i18n("durationMinutes", m);
+}
+
+/** "3분 전" / "in 2 hours" 처럼 지금 기준 상대 시간 */
+function formatRelativeTime(ts, now = Date.now()) {
+  const sec = Math.round((ts - now) / 1000);
+  const abs = Math.abs(sec);
+  const rtf = new Intl.RelativeTimeFormat(uiLocale(), { numeric: "auto" });
+  if (abs < 45) return rtf.format(0, "second");
+  if (abs < 45 * 60) return rtf.format(Math.round(sec / 60), "minute");
+  if (abs < 22 * 3600) return rtf.format(Math.round(sec / 3600), "hour");
+  return rtf.format(Math.round(sec / 86400), "day");
+}
+
+/** 요일 약칭(0 = 일요일) */
+function weekdayLabels() {
+  return i18n("weekdaysShort").split(",");
+}
+
+// 언어 설정이 바뀌면 다시 읽음(열린 페이지는 각자 다시 그림)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes.settings) return;
+  const before = changes.settings.oldValue?.language || "";
+  const after = changes.settings.newValue?.language || "";
+  if (before !== after) i18nReady = setI18nLanguage(after);
+});
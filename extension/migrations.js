@@ -0,0 +1,179 @@
+/* SOOP/CHZZK Live Notifier - 저장소 스키마 버전 / 마이그레이션(service_worker 에서 importScripts)
+ * - onInstalled(reason=update)에서 저장된 버전보다 높은 마이그레이션만 순서대로 실행
+ * - 실행 전 마이그레이션 대상 키(MIGRATION_DATA_KEYS)만 schemaBackup 에 보관, 실패하면 그대로 되돌림
+ *   (성공하거나 되돌리고 나면 백업은 삭제. 남아 있으면 진단 페이지에서 수동으로 되돌릴 수 있음)
+ * - 마지막 실행 결과는 schemaStatus 에 기록 -> diagnostics.html
+ * - 새 설치는 마이그레이션 없이 현재 버전으로 기록
+ *
+ * 마이그레이션 추가: MIGRATIONS 끝에 { version: 다음 번호, name, migrate(data) } 를 붙임
+ * - data 는 MIGRATION_DATA_KEYS 의 사본(키 -> 값). 직접 수정하고, 지울 키는 delete
+ * - 다른 키를 다뤄야 하면 MIGRATION_DATA_KEYS 에 추가(백업 크기가 quota 를 넘지 않도록 큰 키는 피함)
+ */
+
+const SCHEMA_VERSION_KEY = "schemaVersion";
+const SCHEMA_BACKUP_KEY = "schemaBackup"; // { fromVersion, toVersion, at, data }
+const SCHEMA_STATUS_KEY = "schemaStatus"; // { at, fromVersion, toVersion, ok, error?, rolledBack? }
+
+// 마이그레이션이 읽고 쓰는 키(백업도 이 키만). 세션/진단 기록처럼 큰 키는 넣지 않음.
+// 프로필 캐시(avatarCache)는 data: URL 이라 크고 다시 받을 수 있으므로 빼고 마이그레이션 뒤 따로 정리
+// (importScripts 시점에는 STORAGE_KEYS 가 아직 없어 값을 그대로 씀)
+const MIGRATION_DATA_KEYS = ["watchlist", "notified", "state", "snoozed", "notifMap"];
+
+/** 키 목록에 없는 채널의 항목 삭제 */
+function pruneByKeys(map, keys) {
+  if (!map) return map;
+  for (const k of Object.keys(map)) if (!keys.has(k)) delete map[k];
+  return map;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "notified 를 이벤트 종류별 버킷으로",
+    migrate(data) {
+      const notified = data[STORAGE_KEYS.notified];
+      if (!notified) return;
+      for (const key of Object.keys(notified)) notified[key] = getNotifiedBuckets(notified, key);
+    },
+  },
+  {
+    version: 2,
+    name: "감시 목록 항목 key / addedAt 정리",
+    migrate(data) {
+      const watchlist = data[STORAGE_KEYS.watchlist];
+      if (!Array.isArray(watchlist)) return;
+
+      const seen = new Set();
+      data[STORAGE_KEYS.watchlist] = watchlist.filter((item) => {
+        if (!item?.platform || !item?.id) return false;
+        item.key = `${item.platform}:${item.id}`;
+        if (seen.has(item.key)) return false;
+        seen.add(item.key);
+        if (!Number.isFinite(item.addedAt)) item.addedAt = Date.now();
+        return true;
+      });
+    },
+  },
+  {
+    version: 3,
+    name: "목록에서 빠진 채널의 state / notified / notifMap / snoozed 정리(avatarCache 는 pruneAvatarCache)",
+    migrate(data) {
+      const keys = new Set((data[STORAGE_KEYS.watchlist] || []).map((x) => x.key));
+      pruneByKeys(data[STORAGE_KEYS.state], keys);
+      pruneByKeys(data[STORAGE_KEYS.notified], keys);
+      pruneByKeys(data[STORAGE_KEYS.snoozed], keys);
+
+      // 요약/테스트 알림처럼 채널이 없는 항목은 유지
+      const notifMap = data[STORAGE_KEYS.notifMap];
+      if (notifMap) {
+        for (const [id, entry] of Object.entries(notifMap)) {
+          if (entry?.key && !keys.has(entry.key)) delete notifMap[id];
+        }
+      }
+    },
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function getSchemaVersion() {
+  const { [SCHEMA_VERSION_KEY]: version = 0 } = await chrome.storage.local.get([SCHEMA_VERSION_KEY]);
+  return version;
+}
+
+/** 마이그레이션 대상 키 + 스키마 버전 */
+async function readMigrationData() {
+  return await chrome.storage.local.get([...MIGRATION_DATA_KEYS, SCHEMA_VERSION_KEY]);
+}
+
+/** before 와 after 를 비교해 바뀐 키만 쓰고 없어진 키는 삭제 */
+async function writeLocalDiff(before, after) {
+  const changed = {};
+  for (const [k, v] of Object.entries(after)) {
+    if (JSON.stringify(v) !== JSON.stringify(before[k])) changed[k] = v;
+  }
+  const removed = Object.keys(before).filter((k) => !(k in after));
+  if (removed.length) await chrome.storage.local.remove(removed);
+  if (Object.keys(changed).length) await chrome.storage.local.set(changed);
+}
+
+async function runMigrations() {
+  const from = await getSchemaVersion();
+  const pending = MIGRATIONS.filter((m) => m.version > from);
+  if (!pending.length) return { from, to: from, ran: [] };
+
+  const before = await readMigrationData();
+  const data = structuredClone(before);
+  const ran = [];
+  let backedUp = false;
+  try {
+    await chrome.storage.local.set({
+      [SCHEMA_BACKUP_KEY]: { fromVersion: from, toVersion: SCHEMA_VERSION, at: Date.now(), data: before },
+    });
+    backedUp = true;
+
+    for (const m of pending) {
+      m.migrate(data);
+      data[SCHEMA_VERSION_KEY] = m.version;
+      ran.push(m.version);
+    }
+    await writeLocalDiff(before, data);
+  } catch (e) {
+    const error = String(e?.message || e);
+    console.warn(`[migrate] v${from} -> v${SCHEMA_VERSION} failed at [${ran.length}]:`, error);
+
+    // 백업을 못 썼으면 아무것도 바뀌지 않은 상태
+    let rolledBack = !backedUp;
+    if (backedUp) {
+      try {
+        await rollbackMigration();
+        rolledBack = true;
+      } catch (re) {
+        console.warn("[migrate] rollback failed:", String(re?.message || re));
+      }
+    }
+    await setSchemaStatus({ fromVersion: from, toVersion: SCHEMA_VERSION, ok: false, error, rolledBack });
+    throw e;
+  }
+
+  await chrome.storage.local.remove(SCHEMA_BACKUP_KEY);
+  await setSchemaStatus({ fromVersion: from, toVersion: SCHEMA_VERSION, ok: true });
+  await pruneAvatarCache(data[STORAGE_KEYS.watchlist]).catch((e) => {
+    console.warn("[migrate] avatar cache cleanup failed:", String(e?.message || e));
+  });
+  console.log(`[migrate] v${from} -> v${SCHEMA_VERSION}: ${pending.map((m) => m.name).join(", ")}`);
+  return { from, to: SCHEMA_VERSION, ran };
+}
+
+/** 마지막 마이그레이션 직전 상태로 되돌리고 백업 삭제 */
+async function rollbackMigration() {
+  const { [SCHEMA_BACKUP_KEY]: backup } = await chrome.storage.local.get([SCHEMA_BACKUP_KEY]);
+  if (!backup?.data) throw new Error(i18n("errorNoBackup"));
+
+  // 예전 형식 백업(local 전체)이어도 대상 키만 되돌림
+  const restored = { [SCHEMA_VERSION_KEY]: backup.fromVersion };
+  for (const k of MIGRATION_DATA_KEYS) if (k in backup.data) restored[k] = backup.data[k];
+
+  await writeLocalDiff(await readMigrationData(), restored);
+  await chrome.storage.local.remove(SCHEMA_BACKUP_KEY);
+  console.log(`[migrate] rolled back to v${backup.fromVersion} (backup ${new Date(backup.at).toISOString()})`);
+  return { version: backup.fromVersion };
+}
+
+/** 목록에서 빠진 채널의 프로필 캐시 삭제(다시 받을 수 있는 캐시라 백업/되돌리기 대상이 아님) */
+async function pruneAvatarCache(watchlist = []) {
+  const { [STORAGE_KEYS.avatarCache]: cache } = await chrome.storage.local.get([STORAGE_KEYS.avatarCache]);
+  if (!cache) return;
+  const count = Object.keys(cache).length;
+  pruneByKeys(cache, new Set(watchlist.map((x) => x.key)));
+  if (Object.keys(cache).length !== count) await chrome.storage.local.set({ [STORAGE_KEYS.avatarCache]: cache });
+}
+
+async function setSchemaStatus(status) {
+  await chrome.storage.local.set({ [SCHEMA_STATUS_KEY]: { at: Date.now(), ...status } });
+}
+
+/** 새 설치는 이미 최신 형식이므로 버전만 기록 */
+async function markSchemaCurrent() {
+  await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: SCHEMA_VERSION });
+}
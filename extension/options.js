@@ -9,42 +9,16 @@ function escapeHtml(s) {
     .replaceAll("'", "&#39;");
 }
 
-function platformLabel(platform) {
-  return platform === "chzzk" ? "치지직" : platform === "soop" ? "SOOP" : platform;
-}
-
 function makeKey(platform, id) {
   return `${platform}:${id}`;
 }
 
-function parseIdFromInput(platform, raw) {
-  const s = (raw || "").trim();
-  if (!s) return "";
-
-  try {
-    const u = new URL(s);
-    const host = u.hostname;
-    if (platform === "chzzk") {
-      const parts = u.pathname.split("/").filter(Boolean);
-      if (parts.length >= 2 && parts[0] === "live") return parts[1];
-      if (parts.length >= 1) return parts[0];
-    }
-    if (platform === "soop") {
-      const parts = u.pathname.split("/").filter(Boolean);
-      if (host.startsWith("play.sooplive.co.kr") && parts.length >= 1) return parts[0];
-      if (host.endsWith("sooplive.co.kr") && parts.length >= 2 && parts[0] === "station") return parts[1];
-      if (parts.length >= 1) return parts[0];
-    }
-  } catch {
-    // URL이 아니면 그대로 id로 간주
-  }
-  return s;
-}
-
-function buildDefaultUrl(item) {
-  if (item.platform === "chzzk") return `https://chzzk.naver.com/live/${item.id}`;
-  if (item.platform === "soop") return `https://play.sooplive.co.kr/${item.id}`;
-  return "https://www.google.com";
+/** "1000, 10000" -> [1000, 10000](숫자가 아닌 항목은 버림) */
+function parseNumberList(text) {
+  return String(text || "")
+    .split(/[,\s]+/)
+    .map((x) => Number(x))
+    .filter((x) => Number.isFinite(x) && x > 0);
 }
 
 function showStatus(text) {
@@ -57,18 +31,106 @@ async function loadSettings() {
   const s = settings || {};
   $("pollIntervalMin").value = s.pollIntervalMin ?? 1;
   $("cooldownMin").value = s.cooldownMin ?? 10;
+  $("batchNotifyAbove").value = s.batchNotifyAbove ?? 3;
+  $("historyRetentionDays").value = s.historyRetentionDays ?? 90;
   $("notifyIfAlreadyLive").checked = !!s.notifyIfAlreadyLive;
+  $("notifyOnLive").checked = s.notifyOnLive ?? true;
+  $("notifyOnEnd").checked = !!s.notifyOnEnd;
+  $("notifyOnTitle").checked = !!s.notifyOnTitle;
+  $("notifyOnCategory").checked = !!s.notifyOnCategory;
+  $("notifyOnViewers").checked = !!s.notifyOnViewers;
+  $("notifyOnSurge").checked = !!s.notifyOnSurge;
+  $("viewerMilestones").value = (s.viewerMilestones ?? [1000, 10000]).join(", ");
+  $("viewerHysteresisPct").value = s.viewerHysteresisPct ?? 10;
+  $("surgePct").value = s.surgePct ?? 50;
+  $("surgeMinDelta").value = s.surgeMinDelta ?? 500;
+  $("twitchClientId").value = s.twitchClientId || "";
+  $("twitchAccessToken").value = s.twitchAccessToken || "";
+  $("language").value = s.language || "";
+
+  $("quietEnabled").checked = !!s.quietHours?.enabled;
+  renderQuietRanges(s.quietHours?.ranges || []);
+}
+
+function renderQuietRanges(ranges) {
+  const root = $("quietRanges");
+  root.innerHTML = "";
+  for (const r of ranges) addQuietRangeRow(r);
+  if (!ranges.length) root.innerHTML = `<div class="muted">${escapeHtml(i18n("quietNoRanges"))}</div>`;
+}
+
+function addQuietRangeRow(range = { days: [1, 2, 3, 4, 5], start: "09:00", end: "18:00" }) {
+  const root = $("quietRanges");
+  if (!root.querySelector(".quiet-range")) root.innerHTML = "";
+
+  const row = document.createElement("div");
+  row.className = "row quiet-range";
+  row.innerHTML = `
+    ${weekdayLabels().map(
+      (label, d) => `
+      <label class="day-toggle">
+        <input type="checkbox" data-day="${d}" ${range.days.includes(d) ? "checked" : ""} />${escapeHtml(label)}
+      </label>`
+    ).join("")}
+    <input type="time" data-field="start" value="${escapeHtml(range.start)}" />
+    ~
+    <input type="time" data-field="end" value="${escapeHtml(range.end)}" />
+    <button class="danger small" data-remove>${escapeHtml(i18n("optionsDelete"))}</button>
+  `;
+  row.querySelector("button[data-remove]").addEventListener("click", () => {
+    row.remove();
+    if (!root.querySelector(".quiet-range")) renderQuietRanges([]);
+  });
+  root.appendChild(row);
+}
+
+function readQuietRanges() {
+  return [...$("quietRanges").querySelectorAll(".quiet-range")].map((row) => ({
+    days: [...row.querySelectorAll("input[data-day]:checked")].map((x) => Number(x.getAttribute("data-day"))),
+    start: row.querySelector('input[data-field="start"]').value,
+    end: row.querySelector('input[data-field="end"]').value,
+  }));
+}
+
+async function saveQuietHours() {
+  const quietHours = { enabled: $("quietEnabled").checked, ranges: readQuietRanges() };
+  const res = await chrome.runtime.sendMessage({ type: "updateSettings", settings: { quietHours } });
+  if (res?.ok) {
+    renderQuietRanges(res.settings.quietHours.ranges);
+    showStatus(i18n("statusQuietSaved"));
+  } else {
+    showStatus(i18n("statusSaveFailed", res?.error || i18n("unknownError")));
+  }
 }
 
 async function saveSettings() {
   const next = {
     pollIntervalMin: Number($("pollIntervalMin").value),
     cooldownMin: Number($("cooldownMin").value),
+    batchNotifyAbove: Number($("batchNotifyAbove").value),
+    historyRetentionDays: Number($("historyRetentionDays").value),
     notifyIfAlreadyLive: $("notifyIfAlreadyLive").checked,
+    notifyOnLive: $("notifyOnLive").checked,
+    notifyOnEnd: $("notifyOnEnd").checked,
+    notifyOnTitle: $("notifyOnTitle").checked,
+    notifyOnCategory: $("notifyOnCategory").checked,
+    notifyOnViewers: $("notifyOnViewers").checked,
+    notifyOnSurge: $("notifyOnSurge").checked,
+    viewerMilestones: parseNumberList($("viewerMilestones").value),
+    viewerHysteresisPct: Number($("viewerHysteresisPct").value),
+    surgePct: Number($("surgePct").value),
+    surgeMinDelta: Number($("surgeMinDelta").value),
+    twitchClientId: $("twitchClientId").value.trim(),
+    twitchAccessToken: $("twitchAccessToken").value.trim(),
+    language: $("language").value,
   };
   const res = await chrome.runtime.sendMessage({ type: "updateSettings", settings: next });
-  if (res?.ok) showStatus("저장 완료");
-  else showStatus(`저장 실패: ${res?.error || "unknown"}`);
+  if (res?.ok) {
+    $("viewerMilestones").value = res.settings.viewerMilestones.join(", "); // 정렬/중복 제거된 값
+    showStatus(i18n("statusSaved"));
+  } else {
+    showStatus(i18n("statusSaveFailed", res?.error || i18n("unknownError")));
+  }
 }
 
 async function loadList() {
@@ -76,39 +138,77 @@ async function loadList() {
   renderList(watchlist);
 }
 
-function renderList(watchlist) {
+function formatDateTime(ts) {
+  if (!ts) return "";
+  const d = new Date(ts);
+  const pad = (n) => n.toString().padStart(2, "0");
+  return `${d.getMonth() + 1}/${d.getDate()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/** 연속 조회 실패 중인 채널의 경고 문구 */
+function renderFetchError(st) {
+  if (!st?.failCount) return "";
+  const lastOk = st.lastSuccessAt ? i18n("fetchLastSuccess", formatDateTime(st.lastSuccessAt)) : i18n("fetchNeverSucceeded");
+  const backoff =
+    st.nextPollAt && st.nextPollAt > Date.now() ? `, ${i18n("fetchBackoffUntil", formatDateTime(st.nextPollAt))}` : "";
+  return `
+    <div class="warn" style="margin-top:4px; font-size:12px;">
+      ⚠ ${escapeHtml(st.lastError || i18n("unknownError"))} (${escapeHtml(i18n("fetchFailStreak", st.failCount))}, ${escapeHtml(lastOk)}${escapeHtml(backoff)})
+    </div>`;
+}
+
+async function renderList(watchlist) {
+  const { state = {}, [TAG_SETTINGS_KEY]: tagSettings = {} } = await chrome.storage.local.get([
+    "state",
+    TAG_SETTINGS_KEY,
+  ]);
   const tbody = $("list");
   tbody.innerHTML = "";
 
   for (const item of watchlist) {
     const tr = document.createElement("tr");
     const pLabel = platformLabel(item.platform);
+    const enabled = isItemEnabled(item);
+    tr.dataset.row = item.key;
+    if (!enabled) tr.className = "disabled";
 
     tr.innerHTML = `
+      <td><input type="checkbox" data-select="${escapeHtml(item.key)}" ${selectedKeys.has(item.key) ? "checked" : ""} /></td>
+      <td><span class="drag-handle" title="${escapeHtml(i18n("dragToReorder"))}">⠿</span></td>
       <td>
         <span class="pill ${escapeHtml(item.platform)}">
           <span class="dot"></span>${escapeHtml(pLabel)}
         </span>
       </td>
       <td><code>${escapeHtml(item.id)}</code></td>
-      <td>${escapeHtml(item.name || "")}</td>
+      <td>
+        ${item.favorite ? `<span title="${escapeHtml(i18n("favorite"))}">★</span> ` : ""}
+        <input class="inline-name" data-rename="${escapeHtml(item.key)}" value="${escapeHtml(item.name || "")}"
+          placeholder="${escapeHtml(item.nickname || item.id)}" title="${escapeHtml(i18n("inlineNameTitle"))}" />
+        ${item.nickname && item.name && item.nickname !== item.name ? `<span class="muted">${escapeHtml(item.nickname)}</span>` : ""}
+        ${isItemMuted(item, tagSettings) ? `<span title="${escapeHtml(i18n("popupMute"))}">🔕</span>` : ""}
+        ${(item.tags || []).map((tag) => `<span class="tag">#${escapeHtml(tag)}</span>`).join("")}
+        ${enabled ? renderFetchError(state[item.key]) : ""}
+      </td>
+      <td><input type="checkbox" data-enabled="${escapeHtml(item.key)}" ${enabled ? "checked" : ""} title="${escapeHtml(i18n("enabledTitle"))}" /></td>
       <td style="text-align:right; white-space:nowrap;">
-        <a href="#" data-open="${escapeHtml(item.key)}">열기</a>
+        <a href="#" data-open="${escapeHtml(item.key)}">${escapeHtml(i18n("popupOpen"))}</a>
         &nbsp;
-        <button class="danger small" data-key="${escapeHtml(item.key)}">삭제</button>
+        <a href="history.html?key=${encodeURIComponent(item.key)}" target="_blank">${escapeHtml(i18n("popupHistory"))}</a>
+        &nbsp;
+        <button class="small" data-edit="${escapeHtml(item.key)}">${escapeHtml(i18n("itemSettings"))}</button>
+        <button class="danger small" data-key="${escapeHtml(item.key)}">${escapeHtml(i18n("optionsDelete"))}</button>
       </td>
     `;
     tbody.appendChild(tr);
   }
 
-  tbody.querySelectorAll("button[data-key]").forEach((btn) => {
-    btn.addEventListener("click", async () => {
-      const key = btn.getAttribute("data-key");
-      const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
-      const next = watchlist.filter((x) => x.key !== key);
-      await chrome.storage.local.set({ watchlist: next });
-      renderList(next);
-    });
+  // 삭제 / 이름 / 사용 / 선택 / 순서 변경(options_watchlist.js)
+  bindWatchlistRows(tbody);
+  renderBulkBar(watchlist);
+
+  tbody.querySelectorAll("button[data-edit]").forEach((btn) => {
+    btn.addEventListener("click", () => openItemDialog(btn.getAttribute("data-edit")));
   });
 
   tbody.querySelectorAll("a[data-open]").forEach((a) => {
@@ -123,6 +223,86 @@ function renderList(watchlist) {
   });
 }
 
+/** 이벤트 종류별 선택: 전역 설정 따름(현재 전역 값 표시) / 알림 / 알림 안 함 */
+function renderItemEventOverrides(item) {
+  document.querySelectorAll("#itemDialog select[data-item-event]").forEach((select) => {
+    const k = select.getAttribute("data-item-event");
+    const global = i18n($(k).checked ? "itemNotify" : "itemDontNotify");
+    select.innerHTML = `
+      <option value="">${escapeHtml(`${i18n("itemFollowGlobal")} (${global})`)}</option>
+      <option value="true">${escapeHtml(i18n("itemNotify"))}</option>
+      <option value="false">${escapeHtml(i18n("itemDontNotify"))}</option>`;
+    select.value = typeof item[k] === "boolean" ? String(item[k]) : "";
+  });
+}
+
+/** 채널별 설정 다이얼로그: 비운 값은 전역 설정을 따름 */
+async function openItemDialog(key) {
+  const { watchlist = [], [TAG_SETTINGS_KEY]: tagSettings = {} } = await chrome.storage.local.get([
+    "watchlist",
+    TAG_SETTINGS_KEY,
+  ]);
+  const item = watchlist.find((x) => x.key === key);
+  if (!item) return;
+
+  $("itemDialogTarget").textContent = `${platformLabel(item.platform)} · ${channelDisplayName(item)}`;
+  // "그룹 기본값 따름"에 지금 그룹 값 표시(같은 값을 고르면 그룹 설정이 바뀌어도 이 채널은 고정됨)
+  const groupMuted = i18n(isGroupMuted(item, tagSettings) ? "popupMute" : "itemNotify");
+  $("itemMuted").options[0].textContent = `${i18n("itemFollowGroup")} (${groupMuted})`;
+  $("itemMuted").value = typeof item.muted === "boolean" ? String(item.muted) : "";
+  $("itemTags").value = (item.tags || []).join(", ");
+  $("itemFavorite").checked = !!item.favorite;
+  $("itemCooldownMin").value = item.cooldownMin ?? "";
+  $("itemNotifyIfAlreadyLive").value =
+    typeof item.notifyIfAlreadyLive === "boolean" ? String(item.notifyIfAlreadyLive) : "";
+  $("itemPriority").value = item.priority || "normal";
+  $("itemAutoOpen").value = item.autoOpen || "";
+  $("itemViewerMilestones").value = Array.isArray(item.viewerMilestones)
+    ? item.viewerMilestones.join(", ") || i18n("itemMilestonesNone")
+    : "";
+  $("itemSurgePct").value = item.surgePct ?? "";
+  renderItemEventOverrides(item);
+
+  const dialog = $("itemDialog");
+  dialog.returnValue = "";
+  dialog.onclose = async () => {
+    if (dialog.returnValue !== "save") return;
+    await saveItemSettings(key);
+  };
+  dialog.showModal();
+}
+
+async function saveItemSettings(key) {
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+  const item = watchlist.find((x) => x.key === key);
+  if (!item) return;
+
+  const cooldownRaw = $("itemCooldownMin").value.trim();
+  const alreadyLiveRaw = $("itemNotifyIfAlreadyLive").value;
+
+  const mutedRaw = $("itemMuted").value;
+  item.muted = mutedRaw === "" ? null : mutedRaw === "true";
+  item.tags = parseTags($("itemTags").value);
+  item.favorite = $("itemFavorite").checked;
+  item.cooldownMin = cooldownRaw === "" ? null : Math.min(1440, Math.max(0, Number(cooldownRaw) || 0));
+  item.notifyIfAlreadyLive = alreadyLiveRaw === "" ? null : alreadyLiveRaw === "true";
+  item.priority = $("itemPriority").value;
+  item.autoOpen = $("itemAutoOpen").value || null;
+  document.querySelectorAll("#itemDialog select[data-item-event]").forEach((select) => {
+    item[select.getAttribute("data-item-event")] = select.value === "" ? null : select.value === "true";
+  });
+
+  // 빈 값 = 전역 설정, "없음"(숫자 없음) = 이 채널은 시청자 기준 알림 안 함
+  const milestonesRaw = $("itemViewerMilestones").value.trim();
+  item.viewerMilestones = milestonesRaw === "" ? null : [...new Set(parseNumberList(milestonesRaw))].sort((a, b) => a - b);
+  const surgeRaw = $("itemSurgePct").value.trim();
+  item.surgePct = surgeRaw === "" ? null : Math.min(1000, Math.max(10, Number(surgeRaw) || 0));
+
+  await chrome.storage.local.set({ watchlist });
+  renderList(watchlist);
+  showStatus(i18n("statusItemSaved"));
+}
+
 async function addItem() {
   const platform = $("platform").value;
   const raw = $("channelId").value;
@@ -132,44 +312,89 @@ async function addItem() {
   if (!id) return;
 
   const key = makeKey(platform, id);
-  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+  const { watchlist: current = [] } = await chrome.storage.local.get(["watchlist"]);
 
+  if (current.some((x) => x.key === key)) {
+    showStatus(i18n("statusAlreadyAdded"));
+    return;
+  }
+
+  // 플랫폼에서 채널 확인: 없는 채널은 거부, 확인 자체가 실패하면 그대로 추가
+  showStatus(i18n("statusResolving"));
+  const info = await chrome.runtime.sendMessage({ type: "resolveChannel", platform, id });
+  if (info?.ok && !info.exists) {
+    showStatus(i18n("errorChannelNotFound", id));
+    return;
+  }
+  const nickname = info?.ok ? info.nickname || "" : "";
+
+  // 확인 중에 목록이 바뀌었을 수 있으므로 다시 읽음
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
   if (watchlist.some((x) => x.key === key)) {
-    showStatus("이미 등록됨");
+    showStatus(i18n("statusAlreadyAdded"));
     return;
   }
 
-  watchlist.push({ platform, id, name, key, addedAt: Date.now() });
+  // 입력한 이름이 닉네임과 같으면 덮어쓰기로 보지 않음(닉네임 변경을 따라가도록)
+  watchlist.push({ platform, id, name: name === nickname ? "" : name, nickname, key, addedAt: Date.now() });
   await chrome.storage.local.set({ watchlist });
 
   $("channelId").value = "";
   $("displayName").value = "";
   renderList(watchlist);
-  showStatus("추가됨");
+  showStatus(
+    info?.ok
+      ? i18n("statusAdded", nickname || id)
+      : i18n("statusAddedUnverified", info?.error || i18n("unknownError"))
+  );
 }
 
 async function pollNow() {
   const res = await chrome.runtime.sendMessage({ type: "pollNow" });
   if (res?.ok) {
     const r = res.result;
-    showStatus(`체크 완료: ${r.checked}개 / 라이브 ${r.liveNow} / 알림 ${r.notified}`);
+    showStatus(i18n("statusPollDone", r.checked, r.liveNow, r.notified));
   } else {
-    showStatus(`체크 실패: ${res?.error || "unknown"}`);
+    showStatus(i18n("statusPollFailed", res?.error || i18n("unknownError")));
   }
 }
 
 async function testNotification() {
   const res = await chrome.runtime.sendMessage({ type: "testNotification" });
-  if (res?.ok) showStatus("테스트 알림 전송");
-  else showStatus(`실패: ${res?.error || "unknown"}`);
+  if (res?.ok) showStatus(i18n("statusTestSent"));
+  else showStatus(i18n("popupFailed", res?.error || i18n("unknownError")));
+}
+
+function renderPlatformOptions() {
+  const select = $("platform");
+  select.innerHTML = "";
+  for (const provider of listProviders()) {
+    const opt = document.createElement("option");
+    opt.value = provider.id;
+    opt.textContent = provider.label;
+    select.appendChild(opt);
+  }
 }
 
 $("addBtn").addEventListener("click", addItem);
 $("saveSettingsBtn").addEventListener("click", saveSettings);
 $("pollNowBtn").addEventListener("click", pollNow);
 $("testNotifBtn").addEventListener("click", testNotification);
+$("addQuietRangeBtn").addEventListener("click", () => addQuietRangeRow());
+$("saveQuietBtn").addEventListener("click", saveQuietHours);
+
+// 언어를 바꾸면(이 페이지 / 다른 기기 동기화) 모든 문구를 새 언어로 다시 그림
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes.settings) return;
+  const before = changes.settings.oldValue?.language || "";
+  const after = changes.settings.newValue?.language || "";
+  if (before !== after) location.reload();
+});
 
 (async function init() {
+  await i18nReady;
+  applyI18n();
+  renderPlatformOptions();
   await loadSettings();
   await loadList();
 })();
\ No newline at end of file
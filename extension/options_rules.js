@@ -0,0 +1,191 @@
+/* 옵션 페이지 - 알림 규칙 편집(rules.js 공용 로직 사용)
+ * - 규칙 추가/편집/삭제, 사용 on/off
+ * - 입력 중 미리보기: 지금 라이브 중인 채널 중 어떤 채널이 통과하는지 표시
+ */
+
+async function getRules() {
+  const { [RULES_STORAGE_KEY]: rules = [] } = await chrome.storage.local.get([RULES_STORAGE_KEY]);
+  return rules;
+}
+
+function newRuleId() {
+  return `rule_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function linesOf(text) {
+  return text
+    .split(/\r?\n/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+/** 감시 목록 중 지금 라이브인 채널 + 마지막으로 확인한 제목/카테고리 */
+async function getLiveChannels() {
+  const { watchlist = [], state = {} } = await chrome.storage.local.get(["watchlist", "state"]);
+  return watchlist
+    .filter((item) => state[item.key]?.lastIsLive)
+    .map((item) => ({
+      item,
+      subject: { title: state[item.key].lastTitle || "", category: state[item.key].lastCategory || "" },
+    }));
+}
+
+function describeRule(rule) {
+  const parts = [];
+  if (rule.include?.length) parts.push(i18n("ruleSummaryInclude", rule.include.join(", ")));
+  if (rule.exclude?.length) parts.push(i18n("ruleSummaryExclude", rule.exclude.join(", ")));
+  if (rule.categories?.length) parts.push(i18n("ruleSummaryCategories", rule.categories.join(", ")));
+  parts.push(rule.channels?.length ? i18n("diagPollChannels", rule.channels.length) : i18n("historyAllChannels"));
+  return parts.join(" · ");
+}
+
+async function renderRules() {
+  const [rules, live] = await Promise.all([getRules(), getLiveChannels()]);
+  const tbody = $("ruleList");
+
+  if (!rules.length) {
+    tbody.innerHTML = `<tr><td colspan="4" class="muted">${escapeHtml(i18n("rulesEmpty"))}</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = rules
+    .map((rule) => {
+      const scoped = live.filter((x) => !rule.channels?.length || rule.channels.includes(x.item.key));
+      const matched = scoped.filter((x) => ruleMatches(rule, x.subject));
+      const errors = ruleTermErrors(rule);
+      return `
+      <tr>
+        <td>
+          ${escapeHtml(rule.name || i18n("unnamed"))}
+          ${rule.enabled ? "" : `<span class="muted">(${escapeHtml(i18n("syncOff"))})</span>`}
+        </td>
+        <td class="rule-terms">
+          ${escapeHtml(describeRule(rule))}
+          ${errors.length ? `<div class="warn">${escapeHtml(i18n("ruleInvalidRegexList", errors.map((x) => x.term).join(", ")))}</div>` : ""}
+        </td>
+        <td title="${escapeHtml(matched.map((x) => channelDisplayName(x.item)).join(", "))}">
+          ${matched.length} / ${scoped.length}
+        </td>
+        <td style="text-align:right; white-space:nowrap;">
+          <button class="small" data-rule-edit="${escapeHtml(rule.id)}">${escapeHtml(i18n("edit"))}</button>
+          <button class="danger small" data-rule-delete="${escapeHtml(rule.id)}">${escapeHtml(i18n("optionsDelete"))}</button>
+        </td>
+      </tr>`;
+    })
+    .join("");
+
+  tbody.querySelectorAll("button[data-rule-edit]").forEach((btn) => {
+    btn.addEventListener("click", () => openRuleDialog(btn.getAttribute("data-rule-edit")));
+  });
+  tbody.querySelectorAll("button[data-rule-delete]").forEach((btn) => {
+    btn.addEventListener("click", () => deleteRule(btn.getAttribute("data-rule-delete")));
+  });
+}
+
+/** 다이얼로그 입력값 -> 규칙 객체 */
+function readRuleDialog() {
+  return {
+    id: $("ruleDialog").dataset.ruleId || newRuleId(),
+    name: $("ruleName").value.trim(),
+    enabled: $("ruleEnabled").checked,
+    include: linesOf($("ruleInclude").value),
+    exclude: linesOf($("ruleExclude").value),
+    categories: linesOf($("ruleCategories").value),
+    channels: [...document.querySelectorAll('input[name="ruleChannel"]:checked')].map((el) => el.value),
+  };
+}
+
+async function renderRulePreview() {
+  const rule = { ...readRuleDialog(), enabled: true };
+  const live = await getLiveChannels();
+  const scoped = live.filter((x) => ruleAppliesTo(rule, x.item));
+  const errors = ruleTermErrors(rule);
+  const box = $("rulePreview");
+
+  const errorHtml = errors
+    .map((x) => `<div class="warn">${escapeHtml(i18n("ruleInvalidRegex", x.term, x.error))}</div>`)
+    .join("");
+
+  if (!scoped.length) {
+    box.innerHTML = `${errorHtml}<div class="muted">${escapeHtml(i18n("rulePreviewNoneLive"))}</div>`;
+    return;
+  }
+
+  box.innerHTML =
+    errorHtml +
+    scoped
+      .map(({ item, subject }) => {
+        const ok = ruleMatches(rule, subject);
+        return `
+        <div>
+          <span class="${ok ? "rule-match" : "muted"}">${escapeHtml(ok ? `✓ ${i18n("itemNotify")}` : `✗ ${i18n("ruleSkipped")}`)}</span>
+          <strong>${escapeHtml(channelDisplayName(item))}</strong>
+          <span class="muted">${escapeHtml(subject.title || i18n("untitled"))}${subject.category ? ` · ${escapeHtml(subject.category)}` : ""}</span>
+        </div>`;
+      })
+      .join("");
+}
+
+async function renderRuleChannels(selected) {
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+  const box = $("ruleChannels");
+  if (!watchlist.length) {
+    box.innerHTML = `<div class="muted">${escapeHtml(i18n("watchlistEmpty"))}</div>`;
+    return;
+  }
+  box.innerHTML = watchlist
+    .map(
+      (item) => `
+      <label>
+        <input type="checkbox" name="ruleChannel" value="${escapeHtml(item.key)}" ${selected.includes(item.key) ? "checked" : ""} />
+        ${escapeHtml(platformLabel(item.platform))} · ${escapeHtml(channelDisplayName(item))}
+      </label>`
+    )
+    .join("");
+}
+
+/** id 가 없으면 새 규칙 */
+async function openRuleDialog(id) {
+  const rule = id ? (await getRules()).find((r) => r.id === id) : null;
+  if (id && !rule) return;
+
+  $("ruleDialogTitle").textContent = i18n(rule ? "ruleEditTitle" : "optionsAddRule");
+  $("ruleName").value = rule?.name || "";
+  $("ruleInclude").value = (rule?.include || []).join("\n");
+  $("ruleExclude").value = (rule?.exclude || []).join("\n");
+  $("ruleCategories").value = (rule?.categories || []).join("\n");
+  $("ruleEnabled").checked = rule ? !!rule.enabled : true;
+  await renderRuleChannels(rule?.channels || []);
+
+  const dialog = $("ruleDialog");
+  dialog.dataset.ruleId = rule?.id || "";
+  dialog.returnValue = "";
+  dialog.onclose = async () => {
+    if (dialog.returnValue !== "save") return;
+    await saveRule(readRuleDialog());
+  };
+  await renderRulePreview();
+  dialog.showModal();
+}
+
+async function saveRule(rule) {
+  const rules = await getRules();
+  const idx = rules.findIndex((r) => r.id === rule.id);
+  if (idx >= 0) rules[idx] = rule;
+  else rules.push(rule);
+
+  await chrome.storage.local.set({ [RULES_STORAGE_KEY]: rules });
+  await renderRules();
+  showStatus(i18n("ruleSaved"));
+}
+
+async function deleteRule(id) {
+  const rules = await getRules();
+  await chrome.storage.local.set({ [RULES_STORAGE_KEY]: rules.filter((r) => r.id !== id) });
+  await renderRules();
+}
+
+$("addRuleBtn").addEventListener("click", () => openRuleDialog(null));
+$("ruleDialog").addEventListener("input", renderRulePreview);
+
+i18nReady.then(renderRules);
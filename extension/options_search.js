@@ -0,0 +1,134 @@
+/* 옵션 페이지 - 채널 이름 검색(자동완성)
+ * - #channelId 입력 중 이름으로 검색(service_worker 의 searchChannels 경유)
+ * - URL / 채널 해시처럼 보이는 입력은 검색하지 않음
+ * - 결과 선택 시 플랫폼 / ID / 표시 이름 채움
+ */
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_MIN_LENGTH = 2;
+
+let searchTimer = null;
+let searchSeq = 0;
+let searchItems = [];
+let searchActiveIndex = -1;
+
+function looksLikeRawId(q) {
+  return /^https?:\/\//i.test(q) || q.includes("/") || /^[0-9a-f]{32}$/i.test(q);
+}
+
+function formatFollowers(n) {
+  if (n == null) return "";
+  return i18n("searchFollowers", formatNumber(n));
+}
+
+function hideSearchResults() {
+  $("searchResults").style.display = "none";
+  $("searchResults").innerHTML = "";
+  searchItems = [];
+  searchActiveIndex = -1;
+}
+
+function renderSearchMessage(text) {
+  const box = $("searchResults");
+  box.innerHTML = `<div class="autocomplete-empty muted">${escapeHtml(text)}</div>`;
+  box.style.display = "";
+}
+
+function renderSearchResults(platform, results) {
+  searchItems = results.map((r) => ({ ...r, platform }));
+  searchActiveIndex = -1;
+  if (!results.length) {
+    renderSearchMessage(i18n("searchNoResults"));
+    return;
+  }
+
+  const box = $("searchResults");
+  box.innerHTML = searchItems
+    .map(
+      (r, i) => `
+      <div class="autocomplete-item" data-index="${i}">
+        <img src="${escapeHtml(r.avatarUrl || "icons/icon48.png")}" alt="" referrerpolicy="no-referrer" />
+        <div style="min-width:0;">
+          <div>
+            <strong>${escapeHtml(r.name || r.id)}</strong>
+            ${r.verified ? `<span class="verified" title="${escapeHtml(i18n("searchVerified"))}">✔</span>` : ""}
+          </div>
+          <div class="muted">${escapeHtml(r.id)}${r.followers != null ? ` · ${escapeHtml(formatFollowers(r.followers))}` : ""}</div>
+        </div>
+      </div>`
+    )
+    .join("");
+  box.style.display = "";
+
+  box.querySelectorAll(".autocomplete-item").forEach((el) => {
+    // blur 보다 먼저 처리되도록 mousedown 사용
+    el.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      pickSearchResult(Number(el.getAttribute("data-index")));
+    });
+  });
+}
+
+function pickSearchResult(index) {
+  const r = searchItems[index];
+  if (!r) return;
+  clearTimeout(searchTimer);
+  searchSeq += 1; // 진행 중인 검색 결과 무시
+  $("platform").value = r.platform;
+  $("channelId").value = r.id;
+  $("displayName").value = r.name || "";
+  hideSearchResults();
+}
+
+function moveSearchActive(delta) {
+  if (!searchItems.length) return;
+  searchActiveIndex = (searchActiveIndex + delta + searchItems.length) % searchItems.length;
+  $("searchResults")
+    .querySelectorAll(".autocomplete-item")
+    .forEach((el, i) => el.classList.toggle("active", i === searchActiveIndex));
+}
+
+async function runSearch() {
+  const query = $("channelId").value.trim();
+  const platform = $("platform").value;
+  if (query.length < SEARCH_MIN_LENGTH || looksLikeRawId(query)) {
+    hideSearchResults();
+    return;
+  }
+
+  const seq = ++searchSeq;
+  renderSearchMessage(i18n("searchSearching"));
+
+  const res = await chrome.runtime.sendMessage({ type: "searchChannels", platform, query });
+  if (seq !== searchSeq) return; // 더 최근 입력의 결과만 표시
+
+  if (!res?.ok) {
+    renderSearchMessage(i18n("searchFailed", res?.error || i18n("unknownError")));
+    return;
+  }
+  renderSearchResults(platform, res.results || []);
+}
+
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+}
+
+$("channelId").addEventListener("input", scheduleSearch);
+$("platform").addEventListener("change", scheduleSearch);
+$("channelId").addEventListener("blur", () => setTimeout(hideSearchResults, 150));
+$("channelId").addEventListener("keydown", (e) => {
+  if ($("searchResults").style.display === "none") return;
+  if (e.key === "ArrowDown") {
+    e.preventDefault();
+    moveSearchActive(1);
+  } else if (e.key === "ArrowUp") {
+    e.preventDefault();
+    moveSearchActive(-1);
+  } else if (e.key === "Enter" && searchActiveIndex >= 0) {
+    e.preventDefault();
+    pickSearchResult(searchActiveIndex);
+  } else if (e.key === "Escape") {
+    hideSearchResults();
+  }
+});
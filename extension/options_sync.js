@@ -0,0 +1,63 @@
+/* 옵션 페이지 - 기기 간 동기화(chrome.storage.sync)
+ * - 이 기기에서 사용 on/off(syncEnabled 는 기기별 값)
+ * - 마지막 동기화 시각 / 사용량 / 오류 표시, 지금 동기화
+ */
+
+function formatKb(bytes) {
+  return `${(bytes / 1024).toFixed(1)}KB`;
+}
+
+async function renderSyncStatus() {
+  const { syncEnabled = false, syncStatus = {} } = await chrome.storage.local.get(["syncEnabled", "syncStatus"]);
+  $("syncEnabled").checked = syncEnabled;
+  $("syncNowBtn").disabled = !syncEnabled;
+
+  const el = $("syncStatusText");
+  el.classList.toggle("warn", !!syncStatus.lastError);
+  if (!syncEnabled) {
+    el.textContent = i18n("syncOff");
+    return;
+  }
+
+  const parts = [];
+  if (syncStatus.lastSyncAt) {
+    parts.push(i18n("syncLastSync", formatDateTime(syncStatus.lastSyncAt)));
+    parts.push(i18n("diagPollChannels", syncStatus.channels));
+    parts.push(i18n("syncUsage", formatKb(syncStatus.bytesInUse), formatKb(syncStatus.quotaBytes)));
+  } else {
+    parts.push(i18n("syncNever"));
+  }
+  if (syncStatus.lastError) parts.push(i18n("syncError", syncStatus.lastError));
+  el.textContent = parts.join(" · ");
+}
+
+async function setSyncEnabledFromOptions() {
+  const enabled = $("syncEnabled").checked;
+  const res = await chrome.runtime.sendMessage({ type: "setSyncEnabled", enabled });
+  if (!res?.ok) showStatus(i18n("syncFailed", res?.error || i18n("unknownError")));
+  else showStatus(i18n(enabled ? "syncTurnedOn" : "syncTurnedOff"));
+  await renderSyncStatus();
+  if (enabled) {
+    await loadSettings();
+    await loadList();
+  }
+}
+
+async function syncNowFromOptions() {
+  showStatus(i18n("syncSyncing"));
+  const res = await chrome.runtime.sendMessage({ type: "syncNow" });
+  if (!res?.ok) showStatus(i18n("syncFailed", res?.error || i18n("unknownError")));
+  else if (res.result?.pending) showStatus(i18n("syncPending"));
+  else showStatus(i18n("syncDone"));
+  await renderSyncStatus();
+}
+
+$("syncEnabled").addEventListener("change", setSyncEnabledFromOptions);
+$("syncNowBtn").addEventListener("click", syncNowFromOptions);
+
+// 백그라운드 동기화 결과 표시 갱신
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.syncStatus) renderSyncStatus();
+});
+
+i18nReady.then(renderSyncStatus);
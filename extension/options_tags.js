@@ -0,0 +1,114 @@
+/* 옵션 페이지 - 태그(그룹) 관리
+ * - 목록에 쓰인 태그별 채널 수, 그룹 기본 알림 on/off
+ * - 태그 이름 변경 / 삭제(모든 채널에서 함께 변경, 삭제는 실행 취소 가능)
+ * - 채널 설정 다이얼로그의 태그 입력 자동완성
+ */
+
+async function renderTagGroups() {
+  const { watchlist = [], [TAG_SETTINGS_KEY]: tagSettings = {} } = await chrome.storage.local.get([
+    "watchlist",
+    TAG_SETTINGS_KEY,
+  ]);
+  const tags = collectTags(watchlist);
+
+  $("tagSuggestions").innerHTML = tags.map(({ tag }) => `<option value="${escapeHtml(tag)}"></option>`).join("");
+
+  const tbody = $("tagList");
+  if (!tags.length) {
+    tbody.innerHTML = `<tr><td colspan="4" class="muted">${escapeHtml(i18n("tagsEmpty"))}</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = tags
+    .map(
+      ({ tag, count }) => `
+      <tr>
+        <td><span class="tag">#${escapeHtml(tag)}</span></td>
+        <td>${count}</td>
+        <td>
+          <label style="display:flex; align-items:center; gap:8px;">
+            <input type="checkbox" data-tag-notify="${escapeHtml(tag)}" ${tagSettings[tag]?.notify === false ? "" : "checked"} />
+            ${escapeHtml(i18n("itemNotify"))}
+          </label>
+        </td>
+        <td style="text-align:right; white-space:nowrap;">
+          <button class="small" data-tag-rename="${escapeHtml(tag)}">${escapeHtml(i18n("tagsRename"))}</button>
+          <button class="danger small" data-tag-delete="${escapeHtml(tag)}">${escapeHtml(i18n("optionsDelete"))}</button>
+        </td>
+      </tr>`
+    )
+    .join("");
+
+  tbody.querySelectorAll("input[data-tag-notify]").forEach((el) => {
+    el.addEventListener("change", () => setTagNotify(el.getAttribute("data-tag-notify"), el.checked));
+  });
+  tbody.querySelectorAll("button[data-tag-rename]").forEach((btn) => {
+    btn.addEventListener("click", () => renameTag(btn.getAttribute("data-tag-rename")));
+  });
+  tbody.querySelectorAll("button[data-tag-delete]").forEach((btn) => {
+    btn.addEventListener("click", () => renameTag(btn.getAttribute("data-tag-delete"), ""));
+  });
+}
+
+async function setTagNotify(tag, notify) {
+  const { [TAG_SETTINGS_KEY]: tagSettings = {} } = await chrome.storage.local.get([TAG_SETTINGS_KEY]);
+  tagSettings[tag] = { ...tagSettings[tag], notify };
+  await chrome.storage.local.set({ [TAG_SETTINGS_KEY]: tagSettings });
+  await loadList(); // 음소거 표시 갱신
+  showStatus(i18n(notify ? "tagsNotifyOn" : "tagsNotifyOff", tag));
+}
+
+/** to 가 빈 문자열이면 삭제, undefined 면 이름을 물어봄 */
+async function renameTag(from, to) {
+  if (to === undefined) {
+    const input = prompt(i18n("tagsRenamePrompt", from), from);
+    if (input === null) return;
+    to = normalizeTag(input);
+    if (!to || to === from) return;
+  } else if (!to && !confirm(i18n("tagsDeleteConfirm", from))) {
+    return;
+  }
+
+  const { watchlist = [], [TAG_SETTINGS_KEY]: tagSettings = {} } = await chrome.storage.local.get([
+    "watchlist",
+    TAG_SETTINGS_KEY,
+  ]);
+
+  const tagged = watchlist.filter((x) => x.tags?.includes(from)).map((x) => x.key);
+  const prevSetting = tagSettings[from];
+
+  for (const item of watchlist) {
+    if (!item.tags?.includes(from)) continue;
+    item.tags = [...new Set(item.tags.map((t) => (t === from ? to : t)).filter(Boolean))];
+  }
+  // 이름을 바꾸면 그룹 설정도 따라가되, 이미 있는 대상 태그의 설정은 유지
+  if (to && tagSettings[from] && !tagSettings[to]) tagSettings[to] = tagSettings[from];
+  delete tagSettings[from];
+
+  await chrome.storage.local.set({ watchlist, [TAG_SETTINGS_KEY]: tagSettings });
+  renderList(watchlist);
+  if (to) showStatus(`#${from} -> #${to}`);
+  else offerUndo(i18n("tagsDeleted", from), () => restoreTag(from, tagged, prevSetting));
+}
+
+/** 태그 삭제 되돌리기: 그 태그가 있던 채널에만 다시 붙임(그 사이 다른 변경은 유지) */
+async function restoreTag(tag, keys, setting) {
+  const { watchlist = [], [TAG_SETTINGS_KEY]: tagSettings = {} } = await chrome.storage.local.get([
+    "watchlist",
+    TAG_SETTINGS_KEY,
+  ]);
+
+  const targets = new Set(keys);
+  for (const item of watchlist) {
+    if (targets.has(item.key) && !item.tags?.includes(tag)) item.tags = [...(item.tags || []), tag];
+  }
+  if (setting && !tagSettings[tag]) tagSettings[tag] = setting;
+
+  await chrome.storage.local.set({ watchlist, [TAG_SETTINGS_KEY]: tagSettings });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && (changes.watchlist || changes[TAG_SETTINGS_KEY])) renderTagGroups();
+});
+
+i18nReady.then(renderTagGroups);
@@ -0,0 +1,284 @@
+/* 옵션 페이지 - 감시 목록 가져오기/내보내기
+ * - 내보내기: JSON(watchlist + settings, 버전 포함) / CSV(platform,id,name)
+ * - 가져오기: JSON / CSV 파일, 또는 URL 여러 줄 붙여넣기
+ * - 저장 전 미리보기(신규 / 중복 / 오류)에서 병합 또는 교체 선택
+ */
+
+const EXPORT_FORMAT = "soop-chzzk-live-notifier";
+const EXPORT_VERSION = 1;
+
+// 공유용 파일이므로 기기별 인증 정보는 내보내지도 가져오지도 않음(sync.js 의 SYNC_LOCAL_ONLY_SETTINGS 와 같음).
+// Twitch 는 Client-Id 와 토큰이 짝이 맞아야 하므로 둘 다 제외
+const EXPORT_EXCLUDED_SETTINGS = ["twitchClientId", "twitchAccessToken"];
+
+let pendingImport = null; // { rows, settings }
+
+function downloadText(filename, text, mime) {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportDateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/** 인증 정보를 뺀 설정 사본 */
+function shareableSettings(settings) {
+  const out = { ...settings };
+  for (const k of EXPORT_EXCLUDED_SETTINGS) delete out[k];
+  return out;
+}
+
+async function exportJson() {
+  const { watchlist = [], settings = {} } = await chrome.storage.local.get(["watchlist", "settings"]);
+  const sharedSettings = shareableSettings(settings);
+
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    watchlist,
+    settings: sharedSettings,
+  };
+  downloadText(`live-notifier-${exportDateStamp()}.json`, JSON.stringify(data, null, 2), "application/json");
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+async function exportCsv() {
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+  const lines = ["platform,id,name", ...watchlist.map((x) => [x.platform, x.id, x.name || ""].map(csvCell).join(","))];
+  downloadText(`live-notifier-${exportDateStamp()}.csv`, `${lines.join("\r\n")}\r\n`, "text/csv");
+}
+
+/** 따옴표/이스케이프를 지원하는 간단 CSV 파서 */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((x) => x.trim()));
+}
+
+/** 가져올 행 -> { platform, id, name, source, extra } (판정은 classifyImportRows) */
+function rowsFromJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.watchlist;
+  if (!Array.isArray(list)) throw new Error(i18n("importErrorNoWatchlist"));
+  if (data?.format && data.format !== EXPORT_FORMAT) throw new Error(i18n("importErrorFormat", data.format));
+  if (Number(data?.version) > EXPORT_VERSION) throw new Error(i18n("importErrorVersion", data.version));
+
+  const rows = list.map((x) => ({
+    platform: String(x?.platform || ""),
+    id: String(x?.id || "").trim(),
+    name: String(x?.name || "").trim(),
+    source: JSON.stringify(x),
+    extra: x && typeof x === "object" ? x : {},
+  }));
+  return { rows, settings: Array.isArray(data) ? null : data?.settings || null };
+}
+
+function rowsFromCsv(text) {
+  const table = parseCsv(text);
+  const header = (table[0] || []).map((x) => x.trim().toLowerCase());
+  const hasHeader = header.includes("platform") && header.includes("id");
+  const col = (name, fallback) => (hasHeader ? header.indexOf(name) : fallback);
+  const [pi, ii, ni] = [col("platform", 0), col("id", 1), col("name", 2)];
+
+  const rows = (hasHeader ? table.slice(1) : table).map((r) => ({
+    platform: (r[pi] || "").trim(),
+    id: parseIdFromInput((r[pi] || "").trim(), r[ii] || ""),
+    name: ni >= 0 ? (r[ni] || "").trim() : "",
+    source: r.join(","),
+    extra: {},
+  }));
+  return { rows, settings: null };
+}
+
+/** URL 한 줄에 하나: 플랫폼은 도메인으로 판별 */
+function rowsFromUrls(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const detected = detectChannelFromUrl(line);
+      if (!detected) return { platform: "", id: "", name: "", source: line, extra: {} };
+      return {
+        platform: detected.platform,
+        id: parseIdFromInput(detected.platform, line),
+        name: "",
+        source: line,
+        extra: {},
+      };
+    });
+  return { rows, settings: null };
+}
+
+function parseImportText(text, filename = "") {
+  const trimmed = text.trim();
+  if (!trimmed) return { rows: [], settings: null };
+  if (filename.endsWith(".json") || trimmed.startsWith("{") || trimmed.startsWith("[")) return rowsFromJson(trimmed);
+  if (filename.endsWith(".csv") || /^platform\s*,/i.test(trimmed)) return rowsFromCsv(trimmed);
+  return rowsFromUrls(trimmed);
+}
+
+/** 각 행에 status(new / duplicate / invalid)와 reason 부여 */
+function classifyImportRows(rows, watchlist) {
+  const existing = new Set(watchlist.map((x) => x.key));
+  const seen = new Set();
+
+  return rows.map((r) => {
+    if (!getProvider(r.platform)) return { ...r, status: "invalid", reason: i18n("importReasonUnknownPlatform") };
+    if (!r.id) return { ...r, status: "invalid", reason: i18n("importReasonNoId") };
+
+    const key = makeKey(r.platform, r.id);
+    if (seen.has(key)) return { ...r, key, status: "invalid", reason: i18n("importReasonDuplicateInFile") };
+    seen.add(key);
+
+    if (existing.has(key)) return { ...r, key, status: "duplicate", reason: i18n("statusAlreadyAdded") };
+    return { ...r, key, status: "new", reason: "" };
+  });
+}
+
+const IMPORT_STATUS_LABELS = { new: "importStatusNew", duplicate: "importStatusDuplicate", invalid: "importStatusInvalid" };
+
+async function previewImport(text, filename) {
+  let parsed;
+  try {
+    parsed = parseImportText(text, filename);
+  } catch (e) {
+    showStatus(i18n("importFailed", String(e?.message || e)));
+    return;
+  }
+
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+  const rows = classifyImportRows(parsed.rows, watchlist);
+  pendingImport = { rows, settings: parsed.settings };
+
+  const count = (st) => rows.filter((r) => r.status === st).length;
+  $("importSummary").textContent = i18n(
+    "importSummary",
+    count("new"),
+    count("duplicate"),
+    count("invalid"),
+    rows.length
+  );
+
+  $("importPreviewList").innerHTML = rows
+    .map(
+      (r) => `
+      <tr class="import-${r.status}">
+        <td>${escapeHtml(i18n(IMPORT_STATUS_LABELS[r.status]))}</td>
+        <td>${escapeHtml(getProvider(r.platform) ? platformLabel(r.platform) : r.platform || "-")}</td>
+        <td><code>${escapeHtml(r.id || r.source)}</code></td>
+        <td>${escapeHtml(r.name)}</td>
+        <td class="muted">${escapeHtml(r.reason)}</td>
+      </tr>`
+    )
+    .join("");
+
+  $("importSettingsRow").style.display = parsed.settings ? "" : "none";
+  $("importSettings").checked = false;
+  $("importPreview").style.display = "";
+}
+
+function closeImportPreview() {
+  pendingImport = null;
+  $("importPreview").style.display = "none";
+  $("importPreviewList").innerHTML = "";
+}
+
+/** 파일의 updatedAt 은 버림(동기화가 새로 추가한 항목으로 보고 지금 시각을 찍음) */
+function itemFromImportRow(r) {
+  const { updatedAt: _updatedAt, ...extra } = r.extra;
+  return { ...extra, platform: r.platform, id: r.id, name: r.name, key: r.key, addedAt: extra.addedAt || Date.now() };
+}
+
+/** mode: "merge"(신규만 추가) / "replace"(가져온 목록으로 교체) */
+async function applyImport(mode) {
+  if (!pendingImport) return;
+
+  const valid = pendingImport.rows.filter((r) => r.status !== "invalid");
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+
+  const next =
+    mode === "replace"
+      ? valid.map(itemFromImportRow)
+      : [...watchlist, ...valid.filter((r) => r.status === "new").map(itemFromImportRow)];
+
+  await chrome.storage.local.set({ watchlist: next });
+
+  // 예전에 내보낸 파일에 인증 정보가 있어도 이 기기의 값을 유지
+  if (pendingImport.settings && $("importSettings").checked) {
+    const settings = shareableSettings(pendingImport.settings);
+    const res = await chrome.runtime.sendMessage({ type: "updateSettings", settings });
+    if (res?.ok) await loadSettings();
+  }
+
+  const added = next.length - (mode === "replace" ? 0 : watchlist.length);
+  closeImportPreview();
+  $("importUrls").value = "";
+  renderList(next);
+  showStatus(mode === "replace" ? i18n("importReplaced", next.length) : i18n("importMerged", added));
+
+  // 닉네임이 없는 항목은 백그라운드에서 채움
+  chrome.runtime.sendMessage({ type: "refreshMetadata", onlyMissing: true }).then((res) => {
+    if (res?.updated) loadList();
+  });
+}
+
+$("exportJsonBtn").addEventListener("click", exportJson);
+$("exportCsvBtn").addEventListener("click", exportCsv);
+
+$("importFile").addEventListener("change", async () => {
+  const file = $("importFile").files?.[0];
+  if (!file) return;
+  const text = await file.text();
+  $("importFile").value = "";
+  await previewImport(text, file.name.toLowerCase());
+});
+
+$("importUrlsBtn").addEventListener("click", () => previewImport($("importUrls").value));
+$("importMergeBtn").addEventListener("click", () => applyImport("merge"));
+$("importReplaceBtn").addEventListener("click", () => applyImport("replace"));
+$("importCancelBtn").addEventListener("click", closeImportPreview);
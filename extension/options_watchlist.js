@@ -0,0 +1,267 @@
+/* 옵션 페이지 - 감시 목록 편집
+ * - 표에서 바로 이름 변경(비우면 플랫폼 닉네임), ⠿ 끌어서 순서 변경(팝업 기본 순서)
+ * - 채널별 사용 on/off(끄면 service worker 가 체크하지 않음)
+ * - 여러 채널 선택 후 일괄 삭제 / 사용 / 사용 안 함 / 플랫폼 이동
+ * - 삭제처럼 되돌리기 어려운 작업은 잠깐 동안 "실행 취소" 제공
+ *   (목록 전체가 아니라 그 작업만 되돌림: 그 사이 빠른 추가 / 동기화로 바뀐 내용은 유지)
+ */
+
+const UNDO_TIMEOUT_MS = 10 * 1000;
+
+const selectedKeys = new Set();
+let undoEntry = null; // { undo: 되돌리는 함수, timer }
+
+/** 실행 취소 표시. undo 는 방금 작업만 되돌리는 함수 */
+function offerUndo(label, undo) {
+  clearTimeout(undoEntry?.timer);
+  undoEntry = { undo, timer: setTimeout(hideUndo, UNDO_TIMEOUT_MS) };
+  $("undoText").textContent = label;
+  $("undoBar").style.display = "";
+}
+
+function hideUndo() {
+  clearTimeout(undoEntry?.timer);
+  undoEntry = null;
+  $("undoBar").style.display = "none";
+}
+
+async function undoLast() {
+  if (!undoEntry) return;
+  const { undo } = undoEntry;
+  hideUndo();
+  await undo();
+  await loadList();
+  showStatus(i18n("undoDone"));
+}
+
+/** 목록 수정 공통: 최신 목록을 읽어 mutate(watchlist) -> 새 목록 저장 후 다시 그림 */
+async function updateWatchlist(mutate) {
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+  const next = mutate(watchlist) || watchlist;
+
+  await chrome.storage.local.set({ watchlist: next });
+  renderList(next);
+  return next;
+}
+
+async function deleteItems(keys) {
+  const removing = new Set(keys);
+  let removed = []; // [{ item, index }] (원래 위치 순)
+  await updateWatchlist((list) => {
+    removed = list.map((item, index) => ({ item, index })).filter(({ item }) => removing.has(item.key));
+    return list.filter((x) => !removing.has(x.key));
+  });
+  for (const key of removing) selectedKeys.delete(key);
+  if (removed.length) offerUndo(i18n("watchlistDeleted", removed.length), () => restoreItems(removed));
+}
+
+/**
+ * 삭제 되돌리기: 지운 항목만 원래 자리에 다시 넣음(그 사이 같은 채널이 다시 추가됐으면 건너뜀).
+ * updatedAt 을 새로 찍어 동기화가 이미 올린 툼스톤보다 새 항목으로 취급되게 함
+ */
+async function restoreItems(removed) {
+  const now = Date.now();
+  await updateWatchlist((list) => {
+    const keys = new Set(list.map((x) => x.key));
+    for (const { item, index } of removed) {
+      if (keys.has(item.key)) continue;
+      list.splice(Math.min(index, list.length), 0, { ...item, updatedAt: now });
+      keys.add(item.key);
+    }
+  });
+}
+
+async function setItemsEnabled(keys, enabled) {
+  const targets = new Set(keys);
+  await updateWatchlist((list) => {
+    for (const item of list) if (targets.has(item.key)) item.enabled = enabled;
+  });
+  showStatus(i18n(enabled ? "watchlistEnabled" : "watchlistDisabled", targets.size));
+}
+
+async function renameItem(key, raw) {
+  const name = raw.trim();
+  await updateWatchlist((list) => {
+    const item = list.find((x) => x.key === key);
+    // 닉네임과 같으면 덮어쓰기로 보지 않음(닉네임 변경을 따라가도록)
+    if (item) item.name = name === item.nickname ? "" : name;
+  });
+  showStatus(i18n("watchlistRenamed"));
+}
+
+/**
+ * 플랫폼 이동: ID 는 그대로 두고 플랫폼만 바꿈(같은 ID 로 옮긴 채널 등)
+ * - 이동할 플랫폼에 같은 채널이 이미 있으면 건너뜀
+ * - 닉네임은 플랫폼마다 다르므로 비우고 다시 확인
+ * - 이전 key 의 상태 / 알림 기록 등은 service worker 가 같이 정리(moveChannelData)
+ */
+async function moveItemsToPlatform(keys, platform) {
+  const targets = new Set(keys);
+  const moves = []; // [{ from, to, platform, nickname }] (platform / nickname 은 이동 전 값)
+  let skipped = 0;
+  const now = Date.now();
+
+  await updateWatchlist((list) => {
+    const taken = new Set(list.map((x) => x.key));
+    for (const item of list) {
+      if (!targets.has(item.key) || item.platform === platform) continue;
+      const key = makeKey(platform, item.id);
+      if (taken.has(key)) {
+        skipped += 1;
+        continue;
+      }
+      taken.delete(item.key);
+      taken.add(key);
+      selectedKeys.delete(item.key);
+      selectedKeys.add(key);
+      moves.push({ from: item.key, to: key, platform: item.platform, nickname: item.nickname || "" });
+      // 새 key 라 동기화에서 예전 툼스톤에 지워지지 않도록 수정 시각도 갱신
+      Object.assign(item, { platform, key, nickname: "", updatedAt: now });
+    }
+  });
+
+  showStatus(skipped ? i18n("watchlistMovedSkipped", moves.length, skipped) : i18n("watchlistMovedCount", moves.length));
+  if (!moves.length) return;
+
+  await chrome.runtime.sendMessage({ type: "moveChannelData", moves: moves.map(({ from, to }) => ({ from, to })) });
+  chrome.runtime.sendMessage({ type: "refreshMetadata", onlyMissing: true });
+  offerUndo(i18n("watchlistMoved", platformLabel(platform)), () => undoPlatformMoves(moves));
+}
+
+/** 플랫폼 이동 되돌리기: 아직 옮긴 key 로 남아 있는 항목만, 원래 자리가 비어 있을 때 되돌림 */
+async function undoPlatformMoves(moves) {
+  const back = [];
+  const now = Date.now();
+
+  await updateWatchlist((list) => {
+    const taken = new Set(list.map((x) => x.key));
+    for (const m of moves) {
+      const item = list.find((x) => x.key === m.to);
+      if (!item || taken.has(m.from)) continue;
+      taken.delete(m.to);
+      taken.add(m.from);
+      Object.assign(item, { platform: m.platform, key: m.from, nickname: m.nickname, updatedAt: now });
+      back.push({ from: m.to, to: m.from });
+    }
+  });
+
+  if (back.length) await chrome.runtime.sendMessage({ type: "moveChannelData", moves: back });
+}
+
+/** fromKey 를 toKey 앞(after 면 뒤)으로 */
+async function moveItem(fromKey, toKey, after) {
+  if (fromKey === toKey) return;
+  await updateWatchlist((list) => {
+    const from = list.findIndex((x) => x.key === fromKey);
+    if (from < 0) return list;
+    const [item] = list.splice(from, 1);
+    const to = list.findIndex((x) => x.key === toKey);
+    list.splice(to < 0 ? list.length : to + (after ? 1 : 0), 0, item);
+    return list;
+  });
+}
+
+function renderBulkBar(watchlist) {
+  // 목록에서 사라진 채널은 선택 해제
+  const keys = new Set(watchlist.map((x) => x.key));
+  for (const key of [...selectedKeys]) if (!keys.has(key)) selectedKeys.delete(key);
+
+  $("bulkBar").style.display = selectedKeys.size ? "" : "none";
+  $("bulkCount").textContent = i18n("watchlistSelected", selectedKeys.size);
+
+  const all = $("selectAll");
+  all.checked = watchlist.length > 0 && selectedKeys.size === watchlist.length;
+  all.indeterminate = selectedKeys.size > 0 && selectedKeys.size < watchlist.length;
+}
+
+function renderBulkPlatformOptions() {
+  $("bulkPlatform").innerHTML = listProviders()
+    .map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label)}</option>`)
+    .join("");
+}
+
+/** 끌어서 순서 변경: 손잡이(⠿)를 잡았을 때만 행을 draggable 로(이름 입력칸 드래그 선택과 충돌 방지) */
+function bindRowDrag(tbody, tr) {
+  const clearDropMarks = () =>
+    tbody.querySelectorAll(".drop-before, .drop-after").forEach((el) => el.classList.remove("drop-before", "drop-after"));
+  const isAfter = (e) => {
+    const rect = tr.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2;
+  };
+
+  tr.querySelector(".drag-handle").addEventListener("mousedown", () => (tr.draggable = true));
+  tr.addEventListener("dragstart", (e) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", tr.dataset.row);
+    tr.classList.add("dragging");
+  });
+  tr.addEventListener("dragend", () => {
+    tr.draggable = false;
+    tr.classList.remove("dragging");
+    clearDropMarks();
+  });
+  tr.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    clearDropMarks();
+    tr.classList.add(isAfter(e) ? "drop-after" : "drop-before");
+  });
+  tr.addEventListener("drop", (e) => {
+    e.preventDefault();
+    clearDropMarks();
+    moveItem(e.dataTransfer.getData("text/plain"), tr.dataset.row, isAfter(e));
+  });
+}
+
+/** renderList 가 그린 행에 편집 동작 연결 */
+function bindWatchlistRows(tbody) {
+  tbody.querySelectorAll("button[data-key]").forEach((btn) => {
+    btn.addEventListener("click", () => deleteItems([btn.getAttribute("data-key")]));
+  });
+
+  tbody.querySelectorAll("input[data-rename]").forEach((input) => {
+    const original = input.value;
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") input.blur();
+      if (e.key === "Escape") {
+        input.value = original;
+        input.blur();
+      }
+    });
+    input.addEventListener("change", () => renameItem(input.getAttribute("data-rename"), input.value));
+  });
+
+  tbody.querySelectorAll("input[data-enabled]").forEach((el) => {
+    el.addEventListener("change", () => setItemsEnabled([el.getAttribute("data-enabled")], el.checked));
+  });
+
+  tbody.querySelectorAll("input[data-select]").forEach((el) => {
+    el.addEventListener("change", async () => {
+      const key = el.getAttribute("data-select");
+      if (el.checked) selectedKeys.add(key);
+      else selectedKeys.delete(key);
+      const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+      renderBulkBar(watchlist);
+    });
+  });
+
+  tbody.querySelectorAll("tr[data-row]").forEach((tr) => bindRowDrag(tbody, tr));
+}
+
+$("selectAll").addEventListener("change", async () => {
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+  selectedKeys.clear();
+  if ($("selectAll").checked) for (const item of watchlist) selectedKeys.add(item.key);
+  renderList(watchlist);
+});
+
+$("bulkEnableBtn").addEventListener("click", () => setItemsEnabled([...selectedKeys], true));
+$("bulkDisableBtn").addEventListener("click", () => setItemsEnabled([...selectedKeys], false));
+$("bulkMoveBtn").addEventListener("click", () => moveItemsToPlatform([...selectedKeys], $("bulkPlatform").value));
+$("bulkDeleteBtn").addEventListener("click", () => deleteItems([...selectedKeys]));
+$("bulkClearBtn").addEventListener("click", async () => {
+  selectedKeys.clear();
+  await loadList();
+});
+$("undoBtn").addEventListener("click", undoLast);
+
+i18nReady.then(renderBulkPlatformOptions);
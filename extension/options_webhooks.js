@@ -0,0 +1,236 @@
+/* 옵션 페이지 - 웹훅 대상 관리
+ * - 대상 추가/편집/삭제, 사용 on/off
+ * - 저장 시 해당 주소의 호스트 권한 요청(optional_host_permissions)
+ * - 테스트 전송(service_worker 의 testWebhook), 대상별 전송 로그 보기
+ */
+
+const WEBHOOK_FORMAT_LABELS = { discord: "Discord", slack: "Slack", json: "JSON" };
+// 이벤트 종류 -> 문구 key
+const WEBHOOK_EVENT_LABELS = {
+  live: "eventTypeLive",
+  end: "eventTypeEnd",
+  title: "eventTypeTitle",
+  category: "eventTypeCategory",
+  viewers: "eventTypeViewers",
+  surge: "eventTypeSurge",
+  test: "webhookTest",
+};
+
+function webhookEventLabel(type) {
+  return WEBHOOK_EVENT_LABELS[type] ? i18n(WEBHOOK_EVENT_LABELS[type]) : type;
+}
+const WEBHOOK_DEFAULT_EVENTS = ["live"];
+
+let webhookLogTargetId = null;
+
+async function getWebhooks() {
+  const { webhooks = [] } = await chrome.storage.local.get(["webhooks"]);
+  return webhooks;
+}
+
+function newWebhookId() {
+  return `wh_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/** 비밀 토큰이 경로에 들어가는 경우가 많아 목록에는 호스트만 표시 */
+function webhookHostLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+function webhookOriginPattern(url) {
+  const u = new URL(url);
+  if (u.protocol !== "https:" && u.protocol !== "http:") throw new Error(i18n("webhookErrorScheme"));
+  return `${u.origin}/*`;
+}
+
+async function renderWebhooks() {
+  const webhooks = await getWebhooks();
+  const tbody = $("webhookList");
+
+  if (!webhooks.length) {
+    tbody.innerHTML = `<tr><td colspan="4" class="muted">${escapeHtml(i18n("webhooksEmpty"))}</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = webhooks
+    .map((t) => {
+      const events = (t.events || []).map(webhookEventLabel).join(", ") || i18n("diagNoEvents");
+      const channels = t.channels?.length ? i18n("diagPollChannels", t.channels.length) : i18n("historyAllChannels");
+      return `
+      <tr>
+        <td>
+          ${escapeHtml(t.name || i18n("unnamed"))}
+          ${t.enabled ? "" : `<span class="muted">(${escapeHtml(i18n("syncOff"))})</span>`}
+          <div class="muted" style="font-size:12px;">${escapeHtml(events)} · ${escapeHtml(channels)}</div>
+        </td>
+        <td>${escapeHtml(WEBHOOK_FORMAT_LABELS[t.format] || t.format)}</td>
+        <td class="webhook-url"><code>${escapeHtml(webhookHostLabel(t.url))}</code></td>
+        <td style="text-align:right; white-space:nowrap;">
+          <button class="small" data-webhook-test="${escapeHtml(t.id)}">${escapeHtml(i18n("webhookTest"))}</button>
+          <button class="small" data-webhook-log="${escapeHtml(t.id)}">${escapeHtml(i18n("webhookLog"))}</button>
+          <button class="small" data-webhook-edit="${escapeHtml(t.id)}">${escapeHtml(i18n("edit"))}</button>
+          <button class="danger small" data-webhook-delete="${escapeHtml(t.id)}">${escapeHtml(i18n("optionsDelete"))}</button>
+        </td>
+      </tr>`;
+    })
+    .join("");
+
+  tbody.querySelectorAll("button[data-webhook-test]").forEach((btn) => {
+    btn.addEventListener("click", () => testWebhook(btn.getAttribute("data-webhook-test")));
+  });
+  tbody.querySelectorAll("button[data-webhook-log]").forEach((btn) => {
+    btn.addEventListener("click", () => showWebhookLog(btn.getAttribute("data-webhook-log")));
+  });
+  tbody.querySelectorAll("button[data-webhook-edit]").forEach((btn) => {
+    btn.addEventListener("click", () => openWebhookDialog(btn.getAttribute("data-webhook-edit")));
+  });
+  tbody.querySelectorAll("button[data-webhook-delete]").forEach((btn) => {
+    btn.addEventListener("click", () => deleteWebhook(btn.getAttribute("data-webhook-delete")));
+  });
+}
+
+async function renderWebhookChannels(selected) {
+  const { watchlist = [] } = await chrome.storage.local.get(["watchlist"]);
+  const box = $("webhookChannels");
+  if (!watchlist.length) {
+    box.innerHTML = `<div class="muted">${escapeHtml(i18n("watchlistEmpty"))}</div>`;
+    return;
+  }
+  box.innerHTML = watchlist
+    .map(
+      (item) => `
+      <label>
+        <input type="checkbox" name="webhookChannel" value="${escapeHtml(item.key)}" ${selected.includes(item.key) ? "checked" : ""} />
+        ${escapeHtml(platformLabel(item.platform))} · ${escapeHtml(channelDisplayName(item))}
+      </label>`
+    )
+    .join("");
+}
+
+/** id 가 없으면 새 대상 */
+async function openWebhookDialog(id) {
+  const target = id ? (await getWebhooks()).find((t) => t.id === id) : null;
+  if (id && !target) return;
+
+  const events = target?.events || WEBHOOK_DEFAULT_EVENTS;
+  $("webhookDialogTitle").textContent = i18n(target ? "webhookEditTitle" : "webhookAddTitle");
+  $("webhookName").value = target?.name || "";
+  $("webhookUrl").value = target?.url || "";
+  $("webhookFormat").value = target?.format || "discord";
+  $("webhookEnabled").checked = target ? !!target.enabled : true;
+  document.querySelectorAll('input[name="webhookEvent"]').forEach((el) => {
+    el.checked = events.includes(el.value);
+  });
+  await renderWebhookChannels(target?.channels || []);
+
+  const dialog = $("webhookDialog");
+  dialog.dataset.targetId = target?.id || "";
+  dialog.showModal();
+}
+
+async function saveWebhookFromDialog() {
+  const dialog = $("webhookDialog");
+  const url = $("webhookUrl").value.trim();
+
+  let origin;
+  try {
+    origin = webhookOriginPattern(url);
+  } catch (e) {
+    showStatus(i18n("webhookUrlError", String(e?.message || e)));
+    return;
+  }
+
+  // 사용자 클릭 직후에만 권한 요청이 가능하므로 다른 await 보다 먼저 호출
+  const granted = await chrome.permissions.request({ origins: [origin] });
+  if (!granted) {
+    showStatus(i18n("webhookPermissionDenied", webhookHostLabel(url)));
+    return;
+  }
+
+  const target = {
+    id: dialog.dataset.targetId || newWebhookId(),
+    name: $("webhookName").value.trim(),
+    url,
+    format: $("webhookFormat").value,
+    events: [...document.querySelectorAll('input[name="webhookEvent"]:checked')].map((el) => el.value),
+    channels: [...document.querySelectorAll('input[name="webhookChannel"]:checked')].map((el) => el.value),
+    enabled: $("webhookEnabled").checked,
+  };
+
+  const webhooks = await getWebhooks();
+  const idx = webhooks.findIndex((t) => t.id === target.id);
+  if (idx >= 0) webhooks[idx] = target;
+  else webhooks.push(target);
+
+  await chrome.storage.local.set({ webhooks });
+  dialog.close();
+  await renderWebhooks();
+  showStatus(i18n("webhookSaved"));
+}
+
+async function deleteWebhook(id) {
+  const { webhooks = [], webhookLog = {} } = await chrome.storage.local.get(["webhooks", "webhookLog"]);
+  delete webhookLog[id];
+  await chrome.storage.local.set({ webhooks: webhooks.filter((t) => t.id !== id), webhookLog });
+  if (webhookLogTargetId === id) closeWebhookLog();
+  await renderWebhooks();
+}
+
+async function testWebhook(id) {
+  showStatus(i18n("webhookTesting"));
+  const res = await chrome.runtime.sendMessage({ type: "testWebhook", id });
+  if (!res?.ok) showStatus(i18n("webhookTestFailed", res?.error || i18n("unknownError")));
+  else if (res.result?.ok) showStatus(i18n("webhookTestOk", res.result.status));
+  else showStatus(i18n("webhookTestDeliveryFailed", res.result?.error || i18n("unknownError")));
+  if (webhookLogTargetId === id) await showWebhookLog(id);
+}
+
+async function showWebhookLog(id) {
+  const [webhooks, { webhookLog = {} }] = await Promise.all([getWebhooks(), chrome.storage.local.get(["webhookLog"])]);
+  const target = webhooks.find((t) => t.id === id);
+  if (!target) return;
+
+  webhookLogTargetId = id;
+  const entries = webhookLog[id] || [];
+  $("webhookLogTitle").textContent = `${i18n("webhookLogTitle")} · ${target.name || webhookHostLabel(target.url)}`;
+  $("webhookLogList").innerHTML = entries.length
+    ? entries
+        .map(
+          (e) => `
+      <tr>
+        <td class="muted">${escapeHtml(formatDateTime(e.at))}</td>
+        <td>${escapeHtml(webhookEventLabel(e.event))}</td>
+        <td>${escapeHtml(e.channel || "")}</td>
+        <td>
+          <span class="${e.ok ? "log-ok" : "log-fail"}">${escapeHtml(i18n(e.ok ? "webhookLogOk" : "webhookLogFailed"))}</span>
+          <span class="muted">${escapeHtml(e.ok ? `HTTP ${e.status}` : e.error || "")} · ${escapeHtml(i18n("webhookLogAttempts", e.attempts))}</span>
+        </td>
+      </tr>`
+        )
+        .join("")
+    : `<tr><td colspan="4" class="muted">${escapeHtml(i18n("webhookLogEmpty"))}</td></tr>`;
+  $("webhookLogBox").style.display = "";
+}
+
+function closeWebhookLog() {
+  webhookLogTargetId = null;
+  $("webhookLogBox").style.display = "none";
+}
+
+$("addWebhookBtn").addEventListener("click", () => openWebhookDialog(null));
+$("webhookLogCloseBtn").addEventListener("click", closeWebhookLog);
+$("webhookDialogSave").addEventListener("click", (e) => {
+  e.preventDefault(); // 권한 요청/검증 후 직접 닫음
+  saveWebhookFromDialog();
+});
+
+// 백그라운드 전송이 끝나면 열려 있는 로그 갱신
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.webhookLog && webhookLogTargetId) showWebhookLog(webhookLogTargetId);
+});
+
+i18nReady.then(renderWebhooks);
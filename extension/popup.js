@@ -9,58 +9,175 @@ function escapeHtml(s) {
     .replaceAll("'", "&#39;");
 }
 
-function platformLabel(platform) {
-  return platform === "chzzk" ? "치지직" : platform === "soop" ? "SOOP" : platform;
+/** 마우스를 올렸을 때 보여줄 정확한 시각 */
+function formatDateTime(ts) {
+  return new Date(ts).toLocaleString(uiLocale());
 }
 
-function buildDefaultUrl(item) {
-  if (item.platform === "chzzk") return `https://chzzk.naver.com/live/${item.id}`;
-  if (item.platform === "soop") return `https://play.sooplive.co.kr/${item.id}`;
-  return "https://www.google.com";
+/** 꺼 둔 채널은 마지막 상태와 관계없이 라이브로 치지 않음 */
+function isLiveNow(item, state) {
+  return isItemEnabled(item) && !!state[item.key]?.lastIsLive;
 }
 
-function formatTime(ts) {
-  if (!ts) return "";
-  const d = new Date(ts);
-  return `${d.getHours().toString().padStart(2, "0")}:${d.getMinutes().toString().padStart(2, "0")}`;
+/** 방송 시작 시각: 플랫폼 값 > 처음 라이브로 본 시각 */
+function liveStartedAt(st) {
+  return st?.lastIsLive ? st.startedAt || st.liveSince || null : null;
+}
+
+// 정렬: 라이브 먼저는 공통, 같은 그룹 안에서 기준별로(같으면 등록 순서 유지)
+const POPUP_SORTS = {
+  default: () => 0,
+  viewers: (a, b) => (b?.viewers ?? -1) - (a?.viewers ?? -1),
+  uptime: (a, b) => (liveStartedAt(a) ?? Infinity) - (liveStartedAt(b) ?? Infinity),
+};
+
+/** 태그 탭: "" 는 전체 */
+function renderTagFilter(watchlist, state, filter) {
+  const bar = $("tagFilter");
+  const tags = collectTags(watchlist);
+  if (!tags.length) {
+    bar.style.display = "none";
+    return;
+  }
+
+  const liveIn = (tag) => watchlist.filter((x) => (!tag || x.tags?.includes(tag)) && isLiveNow(x, state)).length;
+  const tab = (tag, label) => `
+    <button class="tab ${tag === filter ? "active" : ""}" data-tag="${escapeHtml(tag)}">
+      ${escapeHtml(label)} <span class="muted">${liveIn(tag)}</span>
+    </button>`;
+
+  bar.innerHTML = tab("", i18n("tagAll")) + tags.map(({ tag }) => tab(tag, `#${tag}`)).join("");
+  bar.style.display = "";
+  bar.querySelectorAll("button[data-tag]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      await chrome.storage.local.set({ popupFilter: btn.getAttribute("data-tag") });
+      await render();
+    });
+  });
+}
+
+/** 보고 있는 탭이 채널 페이지면 "현재 채널 추가/삭제" 버튼 표시 */
+async function renderCurrentChannel(watchlist) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const found = detectChannelPage(tab?.url);
+  $("currentChannel").style.display = found ? "" : "none";
+  if (!found) return;
+
+  const item = watchlist.find((x) => x.key === `${found.platform}:${found.id}`);
+  const btn = $("toggleCurrent");
+  btn.textContent = item
+    ? i18n("popupRemoveCurrent", channelDisplayName(item))
+    : i18n("popupAddCurrent", `${found.id} (${platformLabel(found.platform)})`);
+  btn.className = item ? "danger" : "";
+  btn.dataset.platform = found.platform;
+  btn.dataset.id = found.id;
+}
+
+async function toggleCurrentChannel() {
+  const btn = $("toggleCurrent");
+  btn.disabled = true;
+  const res = await chrome.runtime.sendMessage({ type: "toggleChannel", platform: btn.dataset.platform, id: btn.dataset.id });
+  btn.disabled = false;
+
+  // 성공하면 버튼이 추가 <-> 삭제로 바뀌는 것으로 충분, 실패만 안내
+  if (res?.ok) await render();
+  else $("summary").textContent = i18n("popupFailed", res?.error || i18n("unknownError"));
 }
 
 async function render() {
-  const { watchlist = [], state = {} } = await chrome.storage.local.get(["watchlist", "state"]);
+  const {
+    watchlist = [],
+    state = {},
+    snoozed = {},
+    popupFilter = "",
+    popupSort = "default",
+    [TAG_SETTINGS_KEY]: tagSettings = {},
+  } = await chrome.storage.local.get(["watchlist", "state", "snoozed", "popupFilter", "popupSort", TAG_SETTINGS_KEY]);
   const root = $("list");
   root.innerHTML = "";
 
+  // 없어진 태그가 저장돼 있으면 전체로
+  const filter = watchlist.some((x) => x.tags?.includes(popupFilter)) ? popupFilter : "";
+  renderTagFilter(watchlist, state, filter);
+
+  const sort = POPUP_SORTS[popupSort] ? popupSort : "default";
+  $("sort").value = sort;
+
+  const items = watchlist
+    .filter((x) => !filter || x.tags?.includes(filter))
+    .sort(
+      (a, b) =>
+        Number(isLiveNow(b, state)) - Number(isLiveNow(a, state)) ||
+        POPUP_SORTS[sort](state[a.key], state[b.key])
+    );
+
   let liveCount = 0;
 
-  for (const item of watchlist) {
+  for (const item of items) {
     const st = state[item.key];
-    const isLive = !!st?.lastIsLive;
+    const enabled = isItemEnabled(item);
+    const isLive = isLiveNow(item, state);
+    const muted = isItemMuted(item, tagSettings);
     if (isLive) liveCount += 1;
 
-    const name = item.name || item.id;
-    const title = st?.lastTitle || "";
-    const updated = st?.updatedAt ? `업데이트 ${formatTime(st.updatedAt)}` : "";
+    const name = channelDisplayName(item);
+    const title = enabled ? st?.lastTitle || "" : "";
+    const updated = !enabled ? i18n("popupCheckDisabled") : st?.updatedAt ? i18n("popupUpdated", formatRelativeTime(st.updatedAt)) : "";
+    const snoozedUntil = (snoozed[item.key] || 0) > Date.now() ? snoozed[item.key] : null;
     const url = buildDefaultUrl(item);
 
+    // 라이브 중일 때만: 썸네일 / 방송 시간 / 시청자 / 카테고리 / 연령·비밀번호 표시
+    const startedAt = liveStartedAt(st);
+    const liveInfo = isLive
+      ? [
+          startedAt ? `⏱ ${formatDuration(Date.now() - startedAt)}` : "",
+          Number.isFinite(st.viewers) ? `👥 ${formatNumber(st.viewers)}` : "",
+          st.lastCategory || "",
+          st.adult ? "🔞" : "",
+          st.password ? "🔒" : "",
+        ].filter(Boolean)
+      : [];
+
     const div = document.createElement("div");
-    div.className = "item";
+    div.className = enabled ? "item" : "item disabled";
 
     div.innerHTML = `
       <div class="item-top">
         <div class="item-left">
-          <strong class="item-name">${escapeHtml(name)}</strong>
+          <strong class="item-name">${item.favorite ? "★ " : ""}${escapeHtml(name)}</strong>
           <span class="pill ${escapeHtml(item.platform)}">
             <span class="dot"></span>${escapeHtml(platformLabel(item.platform))}
           </span>
         </div>
-        <span class="status ${isLive ? "live" : "off"}">${isLive ? "LIVE" : "OFF"}</span>
+        <button class="icon-btn" data-mute="${escapeHtml(item.key)}" title="${escapeHtml(i18n(muted ? "popupUnmute" : "popupMute"))}">
+          ${muted ? "🔕" : "🔔"}
+        </button>
+        <span class="status ${isLive ? "live" : "off"}">${isLive ? "LIVE" : enabled ? "OFF" : escapeHtml(i18n("popupStatusDisabled"))}</span>
       </div>
 
+      ${
+        isLive && st.thumbnailUrl
+          ? `<img class="item-thumb" src="${escapeHtml(st.thumbnailUrl)}" alt="" loading="lazy" referrerpolicy="no-referrer" />`
+          : ""
+      }
       ${title ? `<div class="item-title">${escapeHtml(title)}</div>` : ""}
+      ${liveInfo.length ? `<div class="item-live">${liveInfo.map((x) => `<span>${escapeHtml(x)}</span>`).join("")}</div>` : ""}
+      ${
+        enabled && st?.failCount
+          ? `<div class="item-error warn" title="${escapeHtml(st.lastError || "")}">⚠ ${escapeHtml(i18n("popupFetchFailures", st.failCount, st.lastError || i18n("unknownError")))}</div>`
+          : ""
+      }
 
       <div class="item-meta">
-        <span>${escapeHtml(updated)}</span>
-        <a href="#" data-open="${escapeHtml(url)}">열기</a>
+        <span>
+          <span title="${st?.updatedAt ? escapeHtml(formatDateTime(st.updatedAt)) : ""}">${escapeHtml(updated)}</span>
+          ${
+            snoozedUntil
+              ? `<span title="${escapeHtml(formatDateTime(snoozedUntil))}">💤 ${escapeHtml(i18n("popupSnoozedUntil", formatRelativeTime(snoozedUntil)))}</span>`
+              : ""
+          }
+        </span>
+        <a href="#" data-open="${escapeHtml(url)}">${escapeHtml(i18n("popupOpen"))}</a>
       </div>
     `;
 
@@ -68,8 +185,8 @@ async function render() {
   }
 
   $("summary").textContent = watchlist.length
-    ? `(${liveCount}/${watchlist.length} LIVE)`
-    : "(등록된 채널 없음)";
+    ? `(${liveCount}/${items.length} LIVE${filter ? ` · #${filter}` : ""})`
+    : `(${i18n("badgeNoChannels")})`;
 
   root.querySelectorAll("a[data-open]").forEach((a) => {
     a.addEventListener("click", (e) => {
@@ -78,25 +195,65 @@ async function render() {
       if (url) chrome.tabs.create({ url });
     });
   });
+
+  root.querySelectorAll("button[data-mute]").forEach((btn) => {
+    btn.addEventListener("click", () => toggleMute(btn.getAttribute("data-mute")));
+  });
+
+  // 로드 못 한 썸네일(만료된 주소 등)은 숨김
+  root.querySelectorAll("img.item-thumb").forEach((img) => {
+    img.addEventListener("error", () => img.remove());
+  });
+
+  await renderCurrentChannel(watchlist);
+}
+
+/** 음소거: 폴링은 계속, 알림만 끔. 그룹 기본값과 같아지면 채널 설정을 비워 다시 그룹을 따르게 함 */
+async function toggleMute(key) {
+  const { watchlist = [], [TAG_SETTINGS_KEY]: tagSettings = {} } = await chrome.storage.local.get([
+    "watchlist",
+    TAG_SETTINGS_KEY,
+  ]);
+  const item = watchlist.find((x) => x.key === key);
+  if (!item) return;
+
+  const muted = !isItemMuted(item, tagSettings);
+  item.muted = muted === isGroupMuted(item, tagSettings) ? null : muted;
+  await chrome.storage.local.set({ watchlist });
+  await render();
 }
 
 async function pollNow() {
-  $("summary").textContent = "체크 중...";
+  $("summary").textContent = i18n("popupChecking");
   const res = await chrome.runtime.sendMessage({ type: "pollNow" });
   if (res?.ok) {
     const r = res.result;
-    $("summary").textContent = `완료: 라이브 ${r.liveNow} / 알림 ${r.notified}`;
+    $("summary").textContent = i18n("popupPollDone", r.liveNow, r.notified);
   } else {
-    $("summary").textContent = `실패: ${res?.error || "unknown"}`;
+    $("summary").textContent = i18n("popupFailed", res?.error || i18n("unknownError"));
   }
   await render();
 }
 
 $("pollNow").addEventListener("click", pollNow);
+$("toggleCurrent").addEventListener("click", toggleCurrentChannel);
+
+$("sort").addEventListener("change", async () => {
+  await chrome.storage.local.set({ popupSort: $("sort").value });
+  await render();
+});
+
+$("openHistory").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
+});
 
 $("openOptions").addEventListener("click", (e) => {
   e.preventDefault();
   chrome.runtime.openOptionsPage();
 });
 
-render();
\ No newline at end of file
+i18nReady.then(() => {
+  applyI18n();
+  render();
+});
\ No newline at end of file
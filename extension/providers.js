@@ -0,0 +1,577 @@
+/* SOOP/CHZZK Live Notifier - 플랫폼 provider 레지스트리
+ * - service_worker(importScripts) / popup / options 가 같은 파일을 공유
+ * - 플랫폼별 분기(상태 조회, 프로필, 채널 URL, 라벨, URL 파싱)는 모두 provider 안에 둠
+ *
+ * provider 인터페이스:
+ *   id                      - 저장 키에 쓰이는 플랫폼 식별자("chzzk" 등)
+ *   label                   - 화면 표시용 이름(언어마다 다르면 i18n 을 쓰는 getter)
+ *   hosts                   - 이 플랫폼 URL 로 인식할 도메인 목록(하위 도메인 포함)
+ *   buildUrl(id)            - 채널(라이브) URL
+ *   parseUrl(u)             - URL 객체 -> 채널 id (인식 못하면 "")
+ *   isChannelPage(u)        - (선택) 채널/방송 페이지인지(홈, 검색 같은 페이지를 채널로 오인하지 않도록)
+ *   fetchStatus(id, ctx)    - { isLive, title, category, signature, url, thumbnailUrl?,
+ *                               viewers?, startedAt?(ms), adult?, password? }
+ *   fetchAvatarUrl(id, ctx) - 프로필 이미지 원본 URL 또는 null
+ *   resolveChannel(id, ctx) - 채널 존재 확인 + 메타데이터: { exists, nickname, avatarUrl }
+ *   search(query, ctx)      - 이름 검색: [{ id, name, avatarUrl, followers, verified }]
+ *
+ * ctx 는 { settings, requests?, signal? } 형태(플랫폼별 인증 정보 등은 settings 에서 읽음)
+ * 플랫폼 요청은 hostFetch(url, init, ctx) 로 보내 호스트별 동시 요청 수를 제한함
+ * (ctx.signal 이 abort 되면 요청을 끊고 슬롯을 돌려줌: 모든 hostFetch 에 ctx 를 넘길 것)
+ */
+
+const PROVIDERS = {};
+
+// 호스트별 동시 요청 제한(service_worker 가 POLL_CONCURRENCY 보다 작은 HOST_CONCURRENCY 로 설정)
+let hostConcurrency = 2;
+const hostSlots = {}; // host -> { active, queue: [resolve] }
+
+function setHostConcurrency(n) {
+  hostConcurrency = Math.max(1, Number(n) || 1);
+}
+
+/** 빈 슬롯이 날 때까지 대기. 기다리는 중에 signal 이 abort 되면 대기열에서 빠짐 */
+async function acquireHostSlot(host, signal) {
+  signal?.throwIfAborted();
+  const slot = (hostSlots[host] ||= { active: 0, queue: [] });
+  if (slot.active < hostConcurrency) {
+    slot.active += 1;
+    return;
+  }
+  await new Promise((resolve, reject) => {
+    const onAbort = () => {
+      slot.queue = slot.queue.filter((x) => x !== grant);
+      reject(signal.reason);
+    };
+    const grant = () => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    };
+    slot.queue.push(grant);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function releaseHostSlot(host) {
+  const slot = hostSlots[host];
+  const next = slot.queue.shift();
+  if (next) next(); // 슬롯을 그대로 넘겨줌
+  else slot.active -= 1;
+}
+
+/**
+ * fetch + 호스트별 동시성 제한. ctx.requests 배열이 있으면 응답 코드/소요 시간 기록(진단용)
+ * ctx.signal(타임아웃)은 fetch 에도 걸어, 버려진 요청이 응답을 기다리며 슬롯을 잡고 있지 않게 함
+ */
+async function hostFetch(url, init, ctx) {
+  const host = new URL(url).hostname;
+  const signal = ctx?.signal;
+  await acquireHostSlot(host, signal);
+  const t0 = Date.now();
+  try {
+    const res = await fetch(url, signal ? { ...init, signal } : init);
+    ctx?.requests?.push({ host, status: res.status, ms: Date.now() - t0 });
+    return res;
+  } catch (e) {
+    ctx?.requests?.push({ host, status: 0, ms: Date.now() - t0, error: String(e?.message || e) });
+    throw e;
+  } finally {
+    releaseHostSlot(host);
+  }
+}
+
+function registerProvider(provider) {
+  PROVIDERS[provider.id] = provider;
+}
+
+function getProvider(platform) {
+  return PROVIDERS[platform] || null;
+}
+
+function listProviders() {
+  return Object.values(PROVIDERS);
+}
+
+function platformLabel(platform) {
+  return getProvider(platform)?.label || platform;
+}
+
+/** "YYYY-MM-DD HH:mm:ss"(한국 시간, CHZZK/SOOP 공통 형식) -> ms, 해석 못하면 null */
+function parseKstDateTime(s) {
+  const m = String(s || "").match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!m) return null;
+  const ms = Date.parse(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}+09:00`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function finiteOrNull(n) {
+  const v = Number(n);
+  return n !== null && n !== undefined && n !== "" && Number.isFinite(v) ? v : null;
+}
+
+/** 표시 이름: 사용자가 입력한 이름(name) > 플랫폼 닉네임(nickname) > id */
+function channelDisplayName(item) {
+  return item.name || item.nickname || item.id;
+}
+
+/** 꺼 둔 채널(enabled === false)은 폴링/라이브 표시에서 제외 */
+function isItemEnabled(item) {
+  return item.enabled !== false;
+}
+
+function buildDefaultUrl(item) {
+  const provider = getProvider(item.platform);
+  if (provider) return provider.buildUrl(item.id);
+  return "https://www.google.com";
+}
+
+function parseIdFromInput(platform, raw) {
+  const s = (raw || "").trim();
+  if (!s) return "";
+
+  try {
+    const u = new URL(s);
+    const id = getProvider(platform)?.parseUrl(u);
+    if (id) return id;
+  } catch {
+    // URL이 아니면 그대로 id로 간주
+  }
+  return s;
+}
+
+/** 플랫폼을 모르는 URL -> { platform, id } (인식 못하면 null) */
+function detectChannelFromUrl(raw) {
+  let u;
+  try {
+    u = new URL(String(raw || "").trim());
+  } catch {
+    return null;
+  }
+
+  const host = u.hostname.toLowerCase();
+  const provider = listProviders().find((p) => p.hosts.some((h) => host === h || host.endsWith(`.${h}`)));
+  if (!provider) return null;
+
+  const id = provider.parseUrl(u);
+  if (!id) return null;
+  return { platform: provider.id, id };
+}
+
+/** 현재 탭 주소가 채널 페이지면 { platform, id }(플랫폼 홈/검색 페이지 등은 null) */
+function detectChannelPage(raw) {
+  const found = detectChannelFromUrl(raw);
+  if (!found) return null;
+  const provider = getProvider(found.platform);
+  return !provider.isChannelPage || provider.isChannelPage(new URL(raw)) ? found : null;
+}
+
+/** 채널 링크 / 페이지 주소 패턴(contextMenus 의 targetUrlPatterns / documentUrlPatterns) */
+function channelUrlPatterns() {
+  return listProviders().flatMap((p) => p.hosts.flatMap((h) => [`https://${h}/*`, `https://*.${h}/*`]));
+}
+
+async function searchChannels(platform, query, ctx) {
+  const provider = getProvider(platform);
+  if (!provider?.search) throw new Error(`search not supported: ${platform}`);
+  return await provider.search(query, ctx);
+}
+
+async function resolveChannel(platform, id, ctx) {
+  const provider = getProvider(platform);
+  if (!provider?.resolveChannel) throw new Error(`resolve not supported: ${platform}`);
+  return await provider.resolveChannel(id, ctx);
+}
+
+async function fetchStatus(item, ctx) {
+  const provider = getProvider(item.platform);
+  if (!provider) throw new Error(`unknown platform: ${item.platform}`);
+  return await provider.fetchStatus(item.id, ctx);
+}
+
+async function fetchAvatarUrl(item, ctx) {
+  const provider = getProvider(item.platform);
+  if (!provider?.fetchAvatarUrl) return null;
+  return await provider.fetchAvatarUrl(item.id, ctx);
+}
+
+/* ---------------- CHZZK ---------------- */
+
+registerProvider({
+  id: "chzzk",
+  // 한국어 / 영어 표기가 달라 문구 언어를 따름
+  get label() {
+    return i18n("platformChzzk");
+  },
+  hosts: ["chzzk.naver.com"],
+
+  buildUrl(id) {
+    return `https://chzzk.naver.com/live/${id}`;
+  },
+
+  parseUrl(u) {
+    const parts = u.pathname.split("/").filter(Boolean);
+    if (parts.length >= 2 && parts[0] === "live") return parts[1];
+    if (parts.length >= 1) return parts[0];
+    return "";
+  },
+
+  /** /live/<id> 또는 /<id>(채널 ID 는 32자리 hex) */
+  isChannelPage(u) {
+    const parts = u.pathname.split("/").filter(Boolean);
+    const id = parts[0] === "live" ? parts[1] : parts.length === 1 ? parts[0] : "";
+    return /^[0-9a-f]{32}$/i.test(id || "");
+  },
+
+  /** CHZZK: live-status */
+  async fetchStatus(channelId, ctx) {
+    const urls = [
+      `https://api.chzzk.naver.com/polling/v2/channels/${channelId}/live-status`,
+      `https://api.chzzk.naver.com/polling/v1/channels/${channelId}/live-status`,
+    ];
+
+    let lastErr = null;
+
+    for (const url of urls) {
+      try {
+        const res = await hostFetch(url, undefined, ctx);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const json = await res.json();
+
+        const content = json?.content || {};
+        const status = String(content.status || "").toUpperCase();
+        const isLive = status === "OPEN";
+        const title = content.liveTitle || "";
+        const category = content.liveCategoryValue || "";
+        const signature = isLive ? `OPEN:${title}` : "OFF";
+        // liveImageUrl: ".../image_{type}.jpg" 형태(응답에 있을 때만)
+        const thumbnailUrl = content.liveImageUrl ? String(content.liveImageUrl).replace("{type}", "480") : "";
+
+        return {
+          isLive,
+          title,
+          category,
+          signature,
+          url: this.buildUrl(channelId),
+          thumbnailUrl,
+          viewers: finiteOrNull(content.concurrentUserCount),
+          startedAt: parseKstDateTime(content.openDate),
+          adult: !!content.adult,
+          password: false,
+        };
+      } catch (e) {
+        lastErr = e;
+      }
+    }
+
+    throw lastErr || new Error("CHZZK fetch failed");
+  },
+
+  /** CHZZK: channel info -> channelImageUrl */
+  async fetchAvatarUrl(channelId, ctx) {
+    const info = await this.resolveChannel(channelId, ctx);
+    return info.avatarUrl || null;
+  },
+
+  /** CHZZK: channel info (없는 채널이면 content.channelId 가 null) */
+  async resolveChannel(channelId, ctx) {
+    const res = await hostFetch(
+      `https://api.chzzk.naver.com/service/v1/channels/${encodeURIComponent(channelId)}`,
+      undefined,
+      ctx
+    );
+    if (!res.ok) throw new Error(`CHZZK channel info HTTP ${res.status}`);
+
+    const json = await res.json();
+    const content = json?.content || {};
+    return {
+      exists: !!content.channelId,
+      nickname: content.channelName || "",
+      avatarUrl: content.channelImageUrl ? String(content.channelImageUrl) : "",
+    };
+  },
+
+  /** CHZZK: 채널 검색 */
+  async search(query, ctx) {
+    const url =
+      `https://api.chzzk.naver.com/service/v1/search/channels?keyword=${encodeURIComponent(query)}` +
+      "&offset=0&size=10&withFirstChannelContent=false";
+    const res = await hostFetch(url, undefined, ctx);
+    if (!res.ok) throw new Error(`CHZZK search HTTP ${res.status}`);
+
+    const json = await res.json();
+    const list = json?.content?.data || [];
+    return list
+      .map((x) => x?.channel || {})
+      .filter((ch) => ch.channelId)
+      .map((ch) => ({
+        id: String(ch.channelId),
+        name: ch.channelName || "",
+        avatarUrl: ch.channelImageUrl || "",
+        followers: Number.isFinite(ch.followerCount) ? ch.followerCount : null,
+        verified: !!ch.verifiedMark,
+      }));
+  },
+});
+
+/* ---------------- SOOP ---------------- */
+
+registerProvider({
+  id: "soop",
+  label: "SOOP",
+  hosts: ["sooplive.co.kr"],
+
+  buildUrl(id) {
+    return `https://play.sooplive.co.kr/${id}`;
+  },
+
+  parseUrl(u) {
+    const host = u.hostname;
+    const parts = u.pathname.split("/").filter(Boolean);
+    if (host.startsWith("play.sooplive.co.kr") && parts.length >= 1) return parts[0];
+    if (host.endsWith("sooplive.co.kr") && parts.length >= 2 && parts[0] === "station") return parts[1];
+    if (parts.length >= 1) return parts[0];
+    return "";
+  },
+
+  /** 방송 플레이어(play.) 또는 방송국(/station/<id>, ch.) 페이지 */
+  isChannelPage(u) {
+    const host = u.hostname;
+    const parts = u.pathname.split("/").filter(Boolean);
+    if (["play.sooplive.co.kr", "ch.sooplive.co.kr", "bj.sooplive.co.kr"].includes(host)) return parts.length >= 1;
+    return parts.length >= 2 && parts[0] === "station";
+  },
+
+  /** SOOP: player_live_api.php */
+  async fetchStatus(streamerId, ctx) {
+    const url = `https://live.sooplive.co.kr/afreeca/player_live_api.php?bjid=${encodeURIComponent(streamerId)}`;
+    const body = new URLSearchParams({
+      bid: streamerId,
+      type: "live",
+      pwd: "",
+      player_type: "html5",
+      stream_type: "common",
+      quality: "HD",
+      mode: "landing",
+      from_api: "0",
+      is_revive: "false",
+    });
+
+    const res = await hostFetch(
+      url,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: body.toString(),
+      },
+      ctx
+    );
+
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const json = await res.json();
+    const ch = json?.CHANNEL || {};
+    const resultCode = Number(ch.RESULT);
+
+    const isLive = resultCode === 1;
+    const title = ch.TITLE || "";
+    // CATEGORY_TAGS: ["토크/캠방", ...] 형태, 없으면 카테고리 코드(CATE)라도 사용
+    const category = (Array.isArray(ch.CATEGORY_TAGS) && ch.CATEGORY_TAGS[0]) || ch.CATE || "";
+    const bno = ch.BNO || ch.PBNO || "";
+    const signature = isLive ? `LIVE:${bno || title}` : "OFF";
+    const thumbnailUrl = isLive && bno ? `https://liveimg.sooplive.co.kr/m/${bno}` : "";
+
+    // 시청자 수 / 시작 시각은 player API 에 없어서 라이브일 때만 방송국 정보에서 보충(실패해도 상태는 유지)
+    const broad = isLive ? await this.fetchBroadInfo(streamerId, ctx).catch(() => null) : null;
+
+    return {
+      isLive,
+      title,
+      category: String(category),
+      signature,
+      url: this.buildUrl(streamerId),
+      thumbnailUrl,
+      viewers: finiteOrNull(broad?.viewers),
+      startedAt: broad?.startedAt ?? null,
+      adult: String(ch.GRADE) === "19" || !!broad?.adult,
+      password: ch.BPWD === "Y",
+    };
+  },
+
+  /** SOOP: 방송국 정보의 현재 방송(시청자 수 / 시작 시각 / 연령 제한) */
+  async fetchBroadInfo(bjid, ctx) {
+    const res = await hostFetch(`https://chapi.sooplive.co.kr/api/${encodeURIComponent(bjid)}/station`, undefined, ctx);
+    if (!res.ok) throw new Error(`SOOP station HTTP ${res.status}`);
+
+    const json = await res.json();
+    return {
+      viewers: json?.broad?.current_sum_viewer,
+      startedAt: parseKstDateTime(json?.station?.broad_start),
+      adult: Number(json?.broad?.broad_grade) >= 19,
+    };
+  },
+
+  /** SOOP: station page HTML og:image */
+  async fetchAvatarUrl(bjid, ctx) {
+    const res = await hostFetch(`https://play.sooplive.co.kr/${encodeURIComponent(bjid)}`, undefined, ctx);
+    if (!res.ok) throw new Error(`SOOP station HTML HTTP ${res.status}`);
+
+    const html = await res.text();
+
+    const m1 = html.match(/<meta[^>]+property=["']og:image["'][^>]+content=["']([^"']+)["']/i);
+    const m2 = html.match(/<meta[^>]+content=["']([^"']+)["'][^>]+property=["']og:image["']/i);
+    const url = (m1?.[1] || m2?.[1] || "").trim();
+
+    if (!url) return null;
+    if (url.startsWith("//")) return `https:${url}`;
+    return url;
+  },
+
+  /** SOOP: 방송국(station) 정보 */
+  async resolveChannel(bjid, ctx) {
+    const res = await hostFetch(`https://chapi.sooplive.co.kr/api/${encodeURIComponent(bjid)}/station`, undefined, ctx);
+    if (!res.ok) throw new Error(`SOOP station HTTP ${res.status}`);
+
+    const json = await res.json();
+    const station = json?.station || null;
+    let avatarUrl = String(json?.profile_image || "");
+    if (avatarUrl.startsWith("//")) avatarUrl = `https:${avatarUrl}`;
+
+    return {
+      exists: !!station,
+      nickname: station?.user_nick || "",
+      avatarUrl,
+    };
+  },
+
+  /** SOOP: 통합검색 BJ 검색 */
+  async search(query, ctx) {
+    const params = new URLSearchParams({
+      m: "bjSearch",
+      v: "3.0",
+      szOrder: "score",
+      szKeyword: query,
+      nPageNo: "1",
+      nListCnt: "10",
+    });
+    const res = await hostFetch(`https://sch.sooplive.co.kr/api.php?${params.toString()}`, undefined, ctx);
+    if (!res.ok) throw new Error(`SOOP search HTTP ${res.status}`);
+
+    const json = await res.json();
+    const list = Array.isArray(json?.DATA) ? json.DATA : [];
+    return list
+      .filter((x) => x?.user_id)
+      .map((x) => {
+        const id = String(x.user_id);
+        const followers = Number(x.favorite_cnt ?? x.fan_cnt);
+        return {
+          id,
+          name: x.user_nick || "",
+          avatarUrl: x.station_logo || `https://stimg.sooplive.co.kr/LOGO/${id.slice(0, 2)}/${id}/${id}.jpg`,
+          followers: Number.isFinite(followers) ? followers : null,
+          verified: x.is_partner === "Y" || x.partner === "Y" || x.best_bj === "Y",
+        };
+      });
+  },
+});
+
+/* ---------------- Twitch (Helix) ---------------- */
+
+// Helix 는 Client-Id + (앱/유저) 액세스 토큰이 모두 필요함 -> 옵션에서 입력
+// twitch.tv/<첫 경로> 중 채널이 아닌 것
+const TWITCH_RESERVED_PATHS = ["directory", "downloads", "drops", "inventory", "p", "search", "settings", "subscriptions", "wallet"];
+
+function twitchHeaders(settings) {
+  const clientId = String(settings?.twitchClientId || "").trim();
+  const token = String(settings?.twitchAccessToken || "").trim();
+  if (!clientId || !token) throw new Error(i18n("errorTwitchCredentials"));
+  return { "Client-Id": clientId, Authorization: `Bearer ${token}` };
+}
+
+async function fetchTwitchHelix(path, ctx) {
+  const res = await hostFetch(`https://api.twitch.tv/helix/${path}`, { headers: twitchHeaders(ctx?.settings) }, ctx);
+  if (!res.ok) throw new Error(`Twitch HTTP ${res.status}`);
+  return await res.json();
+}
+
+registerProvider({
+  id: "twitch",
+  label: "Twitch",
+  hosts: ["twitch.tv"],
+
+  buildUrl(id) {
+    return `https://www.twitch.tv/${id}`;
+  },
+
+  parseUrl(u) {
+    if (!u.hostname.endsWith("twitch.tv")) return "";
+    const parts = u.pathname.split("/").filter(Boolean);
+    // https://www.twitch.tv/popout/<login>/chat 같은 주소도 허용
+    if (parts.length >= 2 && parts[0] === "popout") return parts[1].toLowerCase();
+    if (parts.length >= 1) return parts[0].toLowerCase();
+    return "";
+  },
+
+  /** 채널 페이지(/<login>, /<login>/videos, /popout/<login>/chat 등). 예약된 최상위 경로는 제외 */
+  isChannelPage(u) {
+    const parts = u.pathname.split("/").filter(Boolean).map((x) => x.toLowerCase());
+    const login = parts[0] === "popout" ? parts[1] || "" : parts[0] || "";
+    return /^[a-z0-9_]{3,25}$/.test(login) && !TWITCH_RESERVED_PATHS.includes(login);
+  },
+
+  /** Twitch: helix/streams (user_login) */
+  async fetchStatus(login, ctx) {
+    const json = await fetchTwitchHelix(`streams?user_login=${encodeURIComponent(login)}`, ctx);
+    const stream = json?.data?.[0] || null;
+
+    const isLive = stream?.type === "live";
+    const title = stream?.title || "";
+    const category = stream?.game_name || "";
+    const signature = isLive ? `LIVE:${stream.id || title}` : "OFF";
+    const thumbnailUrl = isLive && stream.thumbnail_url
+      ? stream.thumbnail_url.replace("{width}", "640").replace("{height}", "360")
+      : "";
+    const startedAt = isLive ? Date.parse(stream.started_at) : NaN;
+
+    return {
+      isLive,
+      title,
+      category,
+      signature,
+      url: this.buildUrl(login),
+      thumbnailUrl,
+      viewers: isLive ? finiteOrNull(stream.viewer_count) : null,
+      startedAt: Number.isFinite(startedAt) ? startedAt : null,
+      adult: !!stream?.is_mature,
+      password: false,
+    };
+  },
+
+  /** Twitch: helix/users -> profile_image_url */
+  async fetchAvatarUrl(login, ctx) {
+    const info = await this.resolveChannel(login, ctx);
+    return info.avatarUrl || null;
+  },
+
+  /** Twitch: helix/users (없는 login 이면 data 가 빈 배열) */
+  async resolveChannel(login, ctx) {
+    const json = await fetchTwitchHelix(`users?login=${encodeURIComponent(login)}`, ctx);
+    const user = json?.data?.[0] || null;
+    return {
+      exists: !!user,
+      nickname: user?.display_name || "",
+      avatarUrl: user?.profile_image_url ? String(user.profile_image_url) : "",
+    };
+  },
+
+  /** Twitch: helix/search/channels (팔로워 수/인증 여부는 제공되지 않음) */
+  async search(query, ctx) {
+    const json = await fetchTwitchHelix(`search/channels?first=10&query=${encodeURIComponent(query)}`, ctx);
+    return (json?.data || []).map((x) => ({
+      id: String(x.broadcaster_login || "").toLowerCase(),
+      name: x.display_name || "",
+      avatarUrl: x.thumbnail_url || "",
+      followers: null,
+      verified: false,
+    }));
+  },
+});
@@ -0,0 +1,100 @@
+/* SOOP/CHZZK Live Notifier - 현재 탭 / 링크에서 채널 바로 추가·삭제(service_worker 에서 importScripts)
+ * - 팝업의 "현재 채널 추가" 와 페이지 컨텍스트 메뉴가 같은 toggleWatchlistChannel 을 씀
+ * - 플랫폼/ID 는 옵션 페이지 입력과 같은 provider.parseUrl 로 해석(detectChannelPage)
+ * - 페이지 메뉴는 보고 있는 탭이 이미 목록에 있으면 "삭제" 로 바뀜.
+ *   링크 메뉴는 누르기 전에는 대상이 뭔지 알 수 없어 "추가/삭제" 로 두고 결과를 알림으로 알려줌
+ */
+
+const CONTEXT_MENU_IDS = {
+  page: "toggle-channel-page",
+  link: "toggle-channel-link",
+};
+
+/** 목록에 있으면 삭제, 없으면 채널 확인 후 추가. { added, item } */
+async function toggleWatchlistChannel(platform, id) {
+  if (!getProvider(platform) || !id) throw new Error(i18n("errorUnsupportedChannelUrl"));
+
+  const key = `${platform}:${id}`;
+  const { [STORAGE_KEYS.watchlist]: current = [] } = await chrome.storage.local.get([STORAGE_KEYS.watchlist]);
+  const existing = current.find((x) => x.key === key);
+  if (existing) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.watchlist]: current.filter((x) => x.key !== key) });
+    return { added: false, item: existing };
+  }
+
+  // 옵션 페이지 추가와 같은 규칙: 없는 채널은 거부, 확인 자체가 실패하면 그대로 추가
+  let info = null;
+  try {
+    info = await resolveAndCacheChannel(platform, id);
+  } catch (e) {
+    console.warn("[quickadd] resolve failed:", key, String(e?.message || e));
+  }
+  if (info && !info.exists) throw new Error(i18n("errorChannelNotFound", id));
+  const nickname = info?.nickname || "";
+
+  // 확인 중에 목록이 바뀌었을 수 있으므로 다시 읽음
+  const { [STORAGE_KEYS.watchlist]: watchlist = [] } = await chrome.storage.local.get([STORAGE_KEYS.watchlist]);
+  const item = watchlist.find((x) => x.key === key) || { platform, id, name: "", nickname, key, addedAt: Date.now() };
+  if (!watchlist.includes(item)) {
+    watchlist.push(item);
+    await chrome.storage.local.set({ [STORAGE_KEYS.watchlist]: watchlist });
+  }
+  return { added: true, item };
+}
+
+function createContextMenus() {
+  const patterns = channelUrlPatterns();
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_IDS.page,
+      title: i18n("menuAddToWatchlist"),
+      contexts: ["page"],
+      documentUrlPatterns: patterns,
+    });
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_IDS.link,
+      title: i18n("menuToggleLinkChannel"),
+      contexts: ["link"],
+      targetUrlPatterns: patterns,
+    });
+    refreshPageContextMenu();
+  });
+}
+
+/** 보고 있는 탭 기준으로 페이지 메뉴 문구/표시 갱신(채널 페이지가 아니면 숨김) */
+async function refreshPageContextMenu() {
+  try {
+    await i18nReady;
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const found = detectChannelPage(tab?.url);
+    let title = i18n("menuAddToWatchlist");
+    if (found) {
+      const { [STORAGE_KEYS.watchlist]: watchlist = [] } = await chrome.storage.local.get([STORAGE_KEYS.watchlist]);
+      if (watchlist.some((x) => x.key === `${found.platform}:${found.id}`)) title = i18n("menuRemoveFromWatchlist");
+    }
+    await chrome.contextMenus.update(CONTEXT_MENU_IDS.page, { title, visible: !!found });
+  } catch (e) {
+    // 메뉴가 아직 만들어지기 전이면 createContextMenus 에서 다시 갱신
+    console.warn("[contextMenus] refresh failed:", String(e?.message || e));
+  }
+}
+
+async function onContextMenuClicked(info, tab) {
+  const url = info.menuItemId === CONTEXT_MENU_IDS.link ? info.linkUrl : info.pageUrl || tab?.url;
+  const found = detectChannelPage(url);
+  if (!found) {
+    await notify({ title: i18n("notifNotChannelUrl"), message: String(url || ""), url });
+    return;
+  }
+
+  try {
+    const { added, item } = await toggleWatchlistChannel(found.platform, found.id);
+    await notify({
+      title: i18n(added ? "notifAddedToWatchlist" : "notifRemovedFromWatchlist"),
+      message: `${channelDisplayName(item)} · ${platformLabel(item.platform)}`,
+      url: buildDefaultUrl(item),
+    });
+  } catch (e) {
+    await notify({ title: i18n("notifWatchlistChangeFailed"), message: String(e?.message || e), url });
+  }
+}
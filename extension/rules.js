@@ -0,0 +1,64 @@
+/* SOOP/CHZZK Live Notifier - 알림 규칙(service_worker / options 공용)
+ * - 제목 포함/제외 키워드, 카테고리, 적용 채널 조합
+ * - 키워드는 대소문자 무시 부분 일치, /패턴/플래그 형태면 정규식
+ * - 채널에 적용되는 규칙이 하나도 없으면 모두 알림, 있으면 그중 하나라도 맞을 때만 알림
+ *
+ * 규칙: { id, name, enabled, channels: [key], include: [term], exclude: [term], categories: [term] }
+ * - channels / include / categories 가 비어 있으면 조건 없음
+ */
+
+const RULES_STORAGE_KEY = "rules";
+
+const RULE_REGEX_RE = /^\/(.+)\/([a-z]*)$/;
+
+/** 키워드 하나 -> 검사 함수. 잘못된 정규식은 error 와 함께 항상 불일치 */
+function compileRuleTerm(term) {
+  const raw = String(term || "").trim();
+  const m = raw.match(RULE_REGEX_RE);
+  if (m) {
+    try {
+      const re = new RegExp(m[1], m[2].includes("i") ? m[2] : `${m[2]}i`);
+      return { test: (text) => re.test(text), error: "" };
+    } catch (e) {
+      return { test: () => false, error: String(e?.message || e) };
+    }
+  }
+  const needle = raw.toLowerCase();
+  return { test: (text) => !!needle && text.toLowerCase().includes(needle), error: "" };
+}
+
+function ruleTermMatches(terms, text) {
+  return terms.some((t) => compileRuleTerm(t).test(text || ""));
+}
+
+function ruleAppliesTo(rule, item) {
+  return !!rule.enabled && (!rule.channels?.length || rule.channels.includes(item.key));
+}
+
+/** subject: { title, category } */
+function ruleMatches(rule, subject) {
+  const include = rule.include || [];
+  const exclude = rule.exclude || [];
+  const categories = rule.categories || [];
+
+  if (include.length && !ruleTermMatches(include, subject.title)) return false;
+  if (exclude.length && ruleTermMatches(exclude, subject.title)) return false;
+  if (categories.length && !ruleTermMatches(categories, subject.category)) return false;
+  return true;
+}
+
+/** 알림 허용 여부 + 통과시킨 규칙(없으면 null) */
+function evaluateRules(rules, item, subject) {
+  const scoped = (rules || []).filter((r) => ruleAppliesTo(r, item));
+  if (!scoped.length) return { allowed: true, rule: null };
+
+  const rule = scoped.find((r) => ruleMatches(r, subject)) || null;
+  return { allowed: !!rule, rule };
+}
+
+/** 옵션 편집기용: 규칙 안의 잘못된 정규식 목록 */
+function ruleTermErrors(rule) {
+  return [...(rule.include || []), ...(rule.exclude || []), ...(rule.categories || [])]
+    .map((term) => ({ term, error: compileRuleTerm(term).error }))
+    .filter((x) => x.error);
+}
@@ -1,26 +1,123 @@
 /* SOOP/CHZZK Live Notifier - MV3 service worker
  * - chrome.alarms 기반 주기 폴링
- * - 오프라인 -> 라이브 전환에서만 알림
- * - 중복 알림 방지(쿨다운 + signature)
+ * - 상태 전환 이벤트 알림: 방송 시작 / 종료 / 제목 변경 / 카테고리 변경 / 시청자 돌파 / 시청자 급증(종류별 on/off)
+ * - 중복 알림 방지(이벤트 종류별 쿨다운 + signature)
+ * - 방해 금지 시간: 알림 대신 큐에 쌓았다가 끝나면 요약 알림 1개
+ * - 한 번의 폴링에서 알림이 기준(batchNotifyAbove)보다 많으면 목록 알림 1개로 묶음
+ * - 방송 세션 기록(시작/종료/제목/카테고리/최고 시청자) -> history.html
+ * - 툴바 배지: 라이브 수 + 마지막 폴링 실패 표시, 툴팁에 라이브 채널 목록
+ * - 채널별 연속 실패 추적 + 지수 백오프, 호스트별 동시 요청 제한(providers.js)
+ * - 채널 메타데이터(닉네임/프로필) 확인 + 하루 1회 백그라운드 갱신
+ * - 알림 버튼(1시간 스누즈 / 내일까지 음소거), 썸네일이 있으면 image 알림
+ * - 채널별 자동 열기(백그라운드 탭 / 포커스 탭 / 작은 창): 이미 열린 탭이 있거나 화면이 잠겨 있으면 생략
+ * - 외부 웹훅(Discord / Slack / JSON)으로 이벤트 전달(webhooks.js)
+ * - 제목/카테고리 키워드 규칙으로 알림 거르기(rules.js)
+ * - 감시 목록/설정 기기 간 동기화(sync.js, 켠 기기만)
+ * - 업데이트 시 저장소 스키마 마이그레이션(migrations.js, 실패하면 백업으로 복구)
+ * - 단축키(지금 체크 / 최근 라이브 열기 / 라이브 순환) + 주소창 "live <이름>" 검색(shortcuts.js)
+ * - 현재 탭 / 링크의 채널을 바로 추가·삭제: 팝업 버튼 + 컨텍스트 메뉴(quickadd.js)
+ * - 폴링 진단 기록(trace.js): 채널별 응답 코드 / 파싱 결과 / 전환 / 알림 판정 -> diagnostics.html
  * - 알림 아이콘: 스트리머 프로필(가능하면) / 실패 시 기본 아이콘 폴백
  * - 폴링 지연 축소: 동시 처리(동시성 제한) + 요청 타임아웃 단축
+ * - 플랫폼별 처리는 providers.js 레지스트리에 위임
+ * - 화면 문구는 _locales(ko / en) + i18n.js. 설정 language 로 브라우저 언어 대신 고를 수 있음
  */
 
+importScripts(
+  "i18n.js",
+  "providers.js",
+  "sessions.js",
+  "webhooks.js",
+  "rules.js",
+  "tags.js",
+  "sync.js",
+  "migrations.js",
+  "trace.js",
+  "shortcuts.js",
+  "quickadd.js"
+);
+
 const ALARM_NAME = "poll_live_status";
+const METADATA_ALARM_NAME = "refresh_metadata";
+const METADATA_REFRESH_MIN = 24 * 60;
 
 const DEFAULT_SETTINGS = {
   pollIntervalMin: 1,          // 1~60
   cooldownMin: 10,             // 0~1440
+  batchNotifyAbove: 3,         // 한 번의 폴링에서 알림이 이보다 많으면 목록 알림 1개로(1~50)
   notifyIfAlreadyLive: false,  // 최초/재시작 시 이미 라이브면 알림 여부
   requestTimeoutMs: 5000,      // ✅ 지연 줄이기: 기본 5초
+  twitchClientId: "",          // Twitch Helix Client-Id
+  twitchAccessToken: "",       // Twitch Helix Bearer 토큰(앱 액세스 토큰)
+  notifyOnLive: true,          // 오프라인 -> 라이브
+  notifyOnEnd: false,          // 라이브 -> 오프라인(방송 시간 포함)
+  notifyOnTitle: false,        // 방송 중 제목 변경
+  notifyOnCategory: false,     // 방송 중 카테고리/게임 변경
+  notifyOnViewers: false,      // 방송 중 시청자 수가 기준(viewerMilestones)을 넘음
+  notifyOnSurge: false,        // 두 폴링 사이 시청자 급증
+  viewerMilestones: [1000, 10000], // 시청자 알림 기준(오름차순)
+  viewerHysteresisPct: 10,     // 기준 아래로 이만큼(%) 내려가야 같은 기준을 다시 알림(0~50)
+  surgePct: 50,                // 직전 폴링 대비 증가율(%) 이상이면 급증(10~1000)
+  surgeMinDelta: 500,          // 급증으로 보려면 최소 이만큼 늘어야 함(작은 방송의 요동 무시)
+  historyRetentionDays: 90,    // 세션 기록 보관 기간(1~365)
+  language: "",                // 화면 언어("" = 브라우저 언어, SUPPORTED_LANGUAGES 중 하나)
+  // 방해 금지 시간(주간 스케줄). days: 0(일)~6(토), start/end: "HH:MM"
+  // - start > end 면 자정을 넘기는 구간(예: 23:00~02:00)
+  quietHours: {
+    enabled: false,
+    ranges: [
+      { days: [1, 2, 3, 4, 5], start: "09:00", end: "18:00" },
+      { days: [0, 1, 2, 3, 4, 5, 6], start: "01:00", end: "08:00" },
+    ],
+  },
+};
+
+// 채널별 알림 우선순위 -> notifications 옵션
+const PRIORITY_OPTIONS = {
+  low: { priority: -1, requireInteraction: false },
+  normal: { priority: 0, requireInteraction: false },
+  high: { priority: 2, requireInteraction: true },
+};
+
+// 채널 알림 버튼(Chrome 은 최대 2개) - 본문 클릭은 "지금 보기". titleKey 는 알림을 만들 때 번역
+const CHANNEL_NOTIFICATION_BUTTONS = [
+  { titleKey: "notifButtonSnooze1h", action: "snooze1h" },
+  { titleKey: "notifButtonMuteUntilTomorrow", action: "muteUntilTomorrow" },
+];
+
+// 이벤트 종류 -> on/off 설정 키
+const EVENT_SETTING_KEYS = {
+  live: "notifyOnLive",
+  end: "notifyOnEnd",
+  title: "notifyOnTitle",
+  category: "notifyOnCategory",
+  viewers: "notifyOnViewers",
+  surge: "notifyOnSurge",
 };
 
+const VIEWER_MILESTONES_MAX = 10;
+
 const STORAGE_KEYS = {
+  // [{ platform, id, name, nickname?, key, addedAt, muted?, cooldownMin?, notifyIfAlreadyLive?, priority?, favorite?, tags?,
+  //    autoOpen?, viewerMilestones?, surgePct?, enabled?, notifyOnLive? ... notifyOnSurge? }]
+  // - name: 사용자가 입력한 표시 이름(있으면 우선), nickname: 플랫폼에서 가져온 닉네임
+  // - favorite: 방해 금지 시간에도 알림
+  // - cooldownMin / notifyIfAlreadyLive / viewerMilestones / surgePct / notifyOn* 가 null/없음이면 전역 설정 사용
+  // - autoOpen: 라이브 시작 시 자동 열기("background" / "focused" / "window", 없으면 안 함)
+  // - enabled: false 면 폴링하지 않음(목록 순서 = 팝업 기본 순서)
   watchlist: "watchlist",
   settings: "settings",
-  state: "state",         // key -> { lastIsLive, lastSig, lastTitle, updatedAt }
-  notified: "notified",   // key -> { lastNotifiedSig, lastNotifiedAt }
-  notifMap: "notifMap",   // notificationId -> { url }
+  // key -> { lastIsLive, lastSig, lastTitle, lastCategory, liveSince, updatedAt,
+  //          startedAt, viewers, thumbnailUrl, adult, password, viewerMilestone,
+  //          failCount, lastError, lastSuccessAt, nextPollAt }
+  state: "state",
+  notified: "notified",   // key -> { [eventType]: { lastNotifiedSig, lastNotifiedAt } }
+  notifMap: "notifMap",   // notificationId -> { url, action?, key?, event? }
+  snoozed: "snoozed",     // key -> 알림을 다시 보낼 시각(ms)
+  missed: "missed",       // 방해 금지 중 놓친 라이브: [{ key, name, title, url, at }]
+  pendingAutoOpen: "pendingAutoOpen", // 화면 잠김으로 미룬 자동 열기: key -> url
+  sessions: "sessions",   // 방송 세션 기록(sessions.js 참고)
+  pollHealth: "pollHealth", // 마지막 폴링: { at, checked, failures }
   // key -> { url, fetchedAt, dataUrl, dataFetchedAt }
   // - url: 플랫폼에서 얻은 원본 프로필 이미지 URL(원격)
   // - dataUrl: notifications.iconUrl에 안정적으로 넣기 위한 data: URL(권장)
@@ -31,8 +128,23 @@ const DEFAULT_ICON_URL = chrome.runtime.getURL("icons/icon128.png");
 const AVATAR_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 const AVATAR_ICON_MAX_BYTES = 512 * 1024; // 너무 큰 이미지는 dataUrl로 변환/저장하지 않음
 
+// 자동 열기 "window" 모드의 창 크기
+const AUTO_OPEN_WINDOW = { width: 960, height: 600 };
+const IDLE_DETECTION_SEC = 60;
+
+const BADGE_COLOR_LIVE = "#ff4c6e";
+const BADGE_COLOR_WARN = "#f4a261"; // 마지막 폴링에 조회 실패가 있었음
+
 // ✅ 폴링 동시성(너무 높이면 API에 부담)
 const POLL_CONCURRENCY = 4;
+// 같은 호스트로 동시에 보내는 요청 수(대부분 채널이 한 플랫폼이어도 API 하나에 몰리지 않도록 더 낮게)
+const HOST_CONCURRENCY = 2;
+setHostConcurrency(HOST_CONCURRENCY);
+
+// 연속 실패 백오프: N회 이상 실패하면 2분, 4분, 8분 ... 최대 60분 동안 폴링 건너뜀
+const BACKOFF_AFTER_FAILURES = 3;
+const BACKOFF_BASE_MS = 2 * 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
 
 // ✅ storage.notifMap 동시 업데이트 덮어쓰기 방지용 간단 mutex
 let notifMapMutex = Promise.resolve();
@@ -108,36 +220,165 @@ async function setSettings(next) {
 
   merged.pollIntervalMin = clampInt(merged.pollIntervalMin, 1, 60);
   merged.cooldownMin = clampInt(merged.cooldownMin, 0, 60 * 24);
+  merged.batchNotifyAbove = clampInt(merged.batchNotifyAbove, 1, 50);
   merged.requestTimeoutMs = clampInt(merged.requestTimeoutMs, 2000, 30000);
+  merged.historyRetentionDays = clampInt(merged.historyRetentionDays, 1, 365);
+  merged.twitchClientId = String(merged.twitchClientId || "").trim();
+  merged.twitchAccessToken = String(merged.twitchAccessToken || "").trim();
+  for (const k of Object.values(EVENT_SETTING_KEYS)) merged[k] = !!merged[k];
+  merged.quietHours = normalizeQuietHours(merged.quietHours);
+  merged.viewerMilestones = normalizeViewerMilestones(merged.viewerMilestones);
+  merged.viewerHysteresisPct = clampInt(merged.viewerHysteresisPct, 0, 50);
+  merged.surgePct = clampInt(merged.surgePct, 10, 1000);
+  merged.surgeMinDelta = clampInt(merged.surgeMinDelta, 0, 1000000);
+  merged.language = SUPPORTED_LANGUAGES.includes(merged.language) ? merged.language : "";
 
   await chrome.storage.local.set({ [STORAGE_KEYS.settings]: merged });
   return merged;
 }
 
+/** 양의 정수, 중복 제거, 오름차순(최대 VIEWER_MILESTONES_MAX 개) */
+function normalizeViewerMilestones(list) {
+  const values = (Array.isArray(list) ? list : [])
+    .map((v) => Math.floor(Number(v)))
+    .filter((v) => Number.isFinite(v) && v > 0);
+  return [...new Set(values)].sort((a, b) => a - b).slice(0, VIEWER_MILESTONES_MAX);
+}
+
+function normalizeTimeOfDay(v, fallback) {
+  const m = String(v || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return fallback;
+  const h = clampInt(m[1], 0, 23);
+  const min = clampInt(m[2], 0, 59);
+  return `${String(h).padStart(2, "0")}:${String(min).padStart(2, "0")}`;
+}
+
+function normalizeQuietHours(q) {
+  const ranges = Array.isArray(q?.ranges) ? q.ranges : [];
+  return {
+    enabled: !!q?.enabled,
+    ranges: ranges
+      .map((r) => ({
+        days: [...new Set((r?.days || []).map((d) => clampInt(d, 0, 6)))].sort((a, b) => a - b),
+        start: normalizeTimeOfDay(r?.start, "00:00"),
+        end: normalizeTimeOfDay(r?.end, "00:00"),
+      }))
+      .filter((r) => r.days.length && r.start !== r.end),
+  };
+}
+
+function timeOfDayToMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/** 지금이 방해 금지 구간인지(자정을 넘기는 구간은 시작 요일 기준) */
+function isQuietTime(settings, date = new Date()) {
+  const q = settings.quietHours;
+  if (!q?.enabled) return false;
+
+  const day = date.getDay();
+  const prevDay = (day + 6) % 7;
+  const mins = date.getHours() * 60 + date.getMinutes();
+
+  return q.ranges.some((r) => {
+    const start = timeOfDayToMinutes(r.start);
+    const end = timeOfDayToMinutes(r.end);
+    if (start < end) return r.days.includes(day) && mins >= start && mins < end;
+    return (r.days.includes(day) && mins >= start) || (r.days.includes(prevDay) && mins < end);
+  });
+}
+
 async function ensureAlarm() {
   const settings = await getSettings();
   const period = clampInt(settings.pollIntervalMin, 1, 60);
   await chrome.alarms.clear(ALARM_NAME);
   chrome.alarms.create(ALARM_NAME, { periodInMinutes: period });
+
+  // 메타데이터 갱신 주기는 설정과 무관하므로 없을 때만 생성(타이머 초기화 방지)
+  if (!(await chrome.alarms.get(METADATA_ALARM_NAME))) {
+    chrome.alarms.create(METADATA_ALARM_NAME, { delayInMinutes: 1, periodInMinutes: METADATA_REFRESH_MIN });
+  }
 }
 
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(async ({ reason }) => {
+  if (reason === "install") await markSchemaCurrent();
+  if (reason === "update") {
+    try {
+      await runMigrations();
+    } catch (e) {
+      // runMigrations 가 백업으로 되돌리고 schemaStatus 에 기록한 상태: 이전 형식 그대로 계속 동작
+      console.error("[migrate] update migration failed:", String(e?.message || e));
+    }
+  }
   await setSettings({});
   await ensureAlarm();
+  await i18nReady;
+  createContextMenus();
 });
 
 chrome.runtime.onStartup.addListener(async () => {
   await ensureAlarm();
+  await i18nReady;
+  createContextMenus();
+  await updateBadge();
+  scheduleSync();
+});
+
+// 감시 목록이 바뀌면(추가/삭제) 폴링을 기다리지 않고 배지 갱신
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[STORAGE_KEYS.watchlist]) {
+    updateBadge();
+    refreshPageContextMenu();
+  }
+
+  // 화면 언어가 바뀌면 service worker 가 만든 문구(메뉴 / 배지 툴팁 / 주소창 안내)도 다시
+  // (i18n.js 의 리스너가 먼저 등록되어 i18nReady 는 이미 새 언어를 읽는 중)
+  if (areaName === "local" && changes[STORAGE_KEYS.settings]) {
+    const before = changes[STORAGE_KEYS.settings].oldValue?.language || "";
+    const after = changes[STORAGE_KEYS.settings].newValue?.language || "";
+    if (before !== after) {
+      i18nReady.then(() => {
+        createContextMenus();
+        setOmniboxDefaultSuggestion();
+        updateBadge();
+      });
+    }
+  }
+
+  // 동기화 대상이 로컬/원격에서 바뀌면 병합(꺼져 있으면 runSync 에서 바로 끝남)
+  if (areaName === "sync") scheduleSync();
+  if (
+    areaName === "local" &&
+    (changes[STORAGE_KEYS.watchlist] || changes[STORAGE_KEYS.settings] || changes[TAG_SETTINGS_KEY])
+  ) {
+    scheduleSync();
+  }
 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === METADATA_ALARM_NAME) {
+    await refreshMetadata();
+    return;
+  }
+  if (alarm.name === SYNC_ALARM_NAME) {
+    await syncNow().catch(() => {});
+    return;
+  }
   if (alarm.name !== ALARM_NAME) return;
   await pollAll({ reason: "alarm" });
 });
 
+// 잠금이 풀리면 화면 잠김으로 미룬 자동 열기를 다시 시도
+chrome.idle.onStateChanged.addListener(async (newState) => {
+  if (newState === "active") await flushPendingAutoOpen();
+});
+
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   (async () => {
     try {
+      await i18nReady;
+
       if (msg?.type === "pollNow") {
         const result = await pollAll({ reason: "manual" });
         sendResponse({ ok: true, result });
@@ -151,10 +392,47 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         return;
       }
 
+      if (msg?.type === "searchChannels") {
+        const settings = await getSettings();
+        const query = String(msg?.query || "").trim();
+        const results = query
+          ? await withTimeout(
+              (signal) => searchChannels(msg?.platform, query, { settings, signal }),
+              settings.requestTimeoutMs
+            )
+          : [];
+        sendResponse({ ok: true, results });
+        return;
+      }
+
+      if (msg?.type === "resolveChannel") {
+        const info = await resolveAndCacheChannel(msg?.platform, msg?.id);
+        sendResponse({ ok: true, ...info });
+        return;
+      }
+
+      if (msg?.type === "toggleChannel") {
+        const { added, item } = await toggleWatchlistChannel(msg?.platform, msg?.id);
+        sendResponse({ ok: true, added, item });
+        return;
+      }
+
+      if (msg?.type === "moveChannelData") {
+        await moveChannelData(Array.isArray(msg?.moves) ? msg.moves : []);
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg?.type === "refreshMetadata") {
+        const updated = await refreshMetadata({ onlyMissing: !!msg?.onlyMissing });
+        sendResponse({ ok: true, updated });
+        return;
+      }
+
       if (msg?.type === "testNotification") {
         await notify({
-          title: "테스트 알림",
-          message: "알림이 정상 동작합니다.",
+          title: i18n("testNotificationTitle"),
+          message: i18n("testNotificationMessage"),
           url: "https://www.google.com",
           iconUrl: DEFAULT_ICON_URL,
         });
@@ -162,6 +440,30 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         return;
       }
 
+      if (msg?.type === "setSyncEnabled") {
+        const result = await setSyncEnabled(!!msg?.enabled);
+        sendResponse({ ok: true, result });
+        return;
+      }
+
+      if (msg?.type === "syncNow") {
+        const result = await syncNow();
+        sendResponse({ ok: true, result });
+        return;
+      }
+
+      if (msg?.type === "rollbackMigration") {
+        const result = await rollbackMigration();
+        sendResponse({ ok: true, result });
+        return;
+      }
+
+      if (msg?.type === "testWebhook") {
+        const result = await sendTestWebhook(msg?.id);
+        sendResponse({ ok: true, result });
+        return;
+      }
+
       sendResponse({ ok: false, error: "unknown message" });
     } catch (e) {
       sendResponse({ ok: false, error: String(e?.message || e) });
@@ -171,9 +473,54 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   return true; // async response
 });
 
+chrome.commands.onCommand.addListener(async (command) => {
+  try {
+    await i18nReady;
+    if (command === SHORTCUT_COMMANDS.pollNow) await pollAll({ reason: "manual" });
+    else if (command === SHORTCUT_COMMANDS.openLatestLive) await openLatestLive();
+    else if (command === SHORTCUT_COMMANDS.cycleLive) await cycleLiveChannel();
+  } catch (e) {
+    console.warn(`[command] ${command} failed:`, String(e?.message || e));
+  }
+});
+
+function setOmniboxDefaultSuggestion() {
+  chrome.omnibox.setDefaultSuggestion({ description: i18n("omniboxDefaultSuggestion") });
+}
+
+i18nReady.then(setOmniboxDefaultSuggestion);
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  i18nReady.then(() => suggestOmnibox(text, suggest)).catch((e) => console.warn("[omnibox] suggest failed:", String(e?.message || e)));
+});
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  enterOmnibox(text, disposition).catch((e) => console.warn("[omnibox] open failed:", String(e?.message || e)));
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  i18nReady.then(() => onContextMenuClicked(info, tab)).catch((e) => console.warn("[contextMenus] click failed:", String(e?.message || e)));
+});
+
+// 페이지 메뉴의 추가/삭제 문구는 보고 있는 탭을 따라감
+chrome.tabs.onActivated.addListener(() => refreshPageContextMenu());
+chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) refreshPageContextMenu();
+});
+
 chrome.notifications.onClicked.addListener(async (notificationId) => {
   const entry = await getNotifMapEntry(notificationId);
-  if (entry?.url) chrome.tabs.create({ url: entry.url });
+  if (entry?.action === "openPopup") await openPopupView();
+  else if (entry?.url) chrome.tabs.create({ url: entry.url });
+  await deleteNotifMapEntry(notificationId);
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const entry = await getNotifMapEntry(notificationId);
+  const button = CHANNEL_NOTIFICATION_BUTTONS[buttonIndex];
+  if (entry?.key && button) {
+    const until = button.action === "snooze1h" ? Date.now() + 60 * 60 * 1000 : startOfTomorrow();
+    await snoozeChannel(entry.key, until);
+  }
+  chrome.notifications.clear(notificationId);
   await deleteNotifMapEntry(notificationId);
 });
 
@@ -183,256 +530,750 @@ chrome.notifications.onClosed.addListener(async (notificationId) => {
 
 async function pollAll({ reason }) {
   const settings = await getSettings();
+  await i18nReady;
 
   const [
     { [STORAGE_KEYS.watchlist]: watchlist = [] },
     { [STORAGE_KEYS.state]: state = {} },
     { [STORAGE_KEYS.notified]: notified = {} },
     { [STORAGE_KEYS.avatarCache]: avatarCache = {} },
+    { [STORAGE_KEYS.missed]: missed = [] },
+    { [STORAGE_KEYS.sessions]: sessions = [] },
+    { [STORAGE_KEYS.snoozed]: snoozed = {} },
+    { [STORAGE_KEYS.pendingAutoOpen]: pendingAutoOpen = {} },
   ] = await Promise.all([
     chrome.storage.local.get([STORAGE_KEYS.watchlist]),
     chrome.storage.local.get([STORAGE_KEYS.state]),
     chrome.storage.local.get([STORAGE_KEYS.notified]),
     chrome.storage.local.get([STORAGE_KEYS.avatarCache]),
+    chrome.storage.local.get([STORAGE_KEYS.missed]),
+    chrome.storage.local.get([STORAGE_KEYS.sessions]),
+    chrome.storage.local.get([STORAGE_KEYS.snoozed]),
+    chrome.storage.local.get([STORAGE_KEYS.pendingAutoOpen]),
+  ]);
+  const webhookTargets = await getWebhookTargets();
+  const { [RULES_STORAGE_KEY]: rules = [], [TAG_SETTINGS_KEY]: tagSettings = {} } = await chrome.storage.local.get([
+    RULES_STORAGE_KEY,
+    TAG_SETTINGS_KEY,
   ]);
 
   const t0 = Date.now();
+  const quiet = isQuietTime(settings);
+  let webhookCount = 0;
+  let filteredCount = 0;
+
+  const traces = [];
+  // 보낼 알림은 모았다가 폴링이 끝난 뒤 한꺼번에(개수에 따라 채널 알림 / 목록 알림)
+  const pending = [];
+  // 웹훅 전송(재시도 포함): 폴링 중에 시작만 하고 마지막에 잠깐 기다림
+  const webhookDeliveries = [];
+
+  // 꺼 둔 채널은 조회하지 않고 이전 상태도 지움(다시 켜면 처음 보는 채널로 취급).
+  // 진행 중이던 세션은 마지막으로 본 시각에 닫음
+  const active = watchlist.filter(isItemEnabled);
+  for (const item of watchlist) {
+    if (isItemEnabled(item) || !state[item.key]) continue;
+    updateSessions(sessions, item, { isLive: false });
+    delete state[item.key];
+  }
 
-  const results = await mapPool(watchlist, POLL_CONCURRENCY, async (item) => {
+  const results = await mapPool(active, POLL_CONCURRENCY, async (item) => {
     const prev = state[item.key];
-    const status = await safeFetchStatus(item, settings, prev);
+    const requests = [];
+    const fetchStartedAt = Date.now();
+    // 수동 체크는 백오프를 무시하고 바로 재시도
+    const status = await safeFetchStatus(item, settings, prev, { ignoreBackoff: reason === "manual", requests });
+    const itemSettings = resolveItemSettings(item, settings);
+    const trace = traceChannel(item, prev, status, requests, Date.now() - fetchStartedAt);
+    traces.push(trace);
 
     let didNotify = false;
 
-    const transition = computeTransition({ prev, status, settings });
-    if (transition.shouldNotify) {
-      if (canNotify(item.key, status.signature, notified, settings)) {
-        const avatarIconUrl = await getAvatarIconUrl(item, avatarCache);
-        await notify({
-          title: transition.title,
-          message: transition.message,
-          url: status.url,
-          iconUrl: avatarIconUrl || DEFAULT_ICON_URL,
-        });
+    // 자동 열기는 알림과 별개로 실제 전환(OFF → LIVE)으로 결정: 알림 종류(notifyOn*)/음소거/스누즈/방해 금지/쿨다운과
+    // 무관하고 규칙만 따름(이미 열린 탭은 건너뜀). 화면이 잠겨 있으면 잠금이 풀릴 때 다시 시도
+    if (item.autoOpen && isLiveStart(prev, status, itemSettings)) {
+      const subject = { title: status.title || "", category: status.category || "" };
+      if (evaluateRules(rules, item, subject).allowed) {
+        trace.autoOpen = await autoOpenChannel(item, status.url);
+        if (trace.autoOpen === "locked") pendingAutoOpen[item.key] = status.url;
+        else delete pendingAutoOpen[item.key];
+      }
+    }
+
+    const milestone = nextViewerMilestone(prev, status, itemSettings);
+    const events = computeTransition({ prev, status, settings: itemSettings, milestone });
+    for (const ev of events) {
+      const verdict = canNotify(item.key, ev.type, ev.signature, notified, itemSettings);
+      const evTrace = { type: ev.type, verdict, decision: "", webhooks: 0 };
+      trace.events.push(evTrace);
+
+      // 규칙에 맞지 않으면 알림/웹훅만 생략(상태는 아래에서 그대로 갱신).
+      // 종료 이벤트는 방금 끝난 방송의 제목/카테고리로 판단
+      const subject = {
+        title: status.title || prev?.lastTitle || "",
+        category: status.category || prev?.lastCategory || "",
+      };
+      const allowed = evaluateRules(rules, item, subject).allowed;
+
+      if (!verdict.ok) {
+        evTrace.decision = "cooldown";
+        continue;
+      }
+      if (!allowed) {
+        filteredCount += 1;
+        evTrace.decision = "rule";
+        continue;
+      }
+
+      // 웹훅은 공유 채널용이라 이 기기의 음소거/스누즈/방해 금지와 무관하게 전송.
+      // 재시도 대기로 다른 채널 조회/알림이 늦어지지 않도록 여기서는 기다리지 않음(결과는 대상별 로그에 기록)
+      const hooks = matchWebhookTargets(webhookTargets, item, ev);
+      if (hooks.length) {
+        for (const target of hooks) webhookDeliveries.push(sendToWebhook(target, { item, ev, status }));
+        markNotified(notified, item.key, ev);
+        webhookCount += hooks.length;
+        evTrace.webhooks = hooks.length;
+      }
 
-        notified[item.key] = { lastNotifiedSig: status.signature, lastNotifiedAt: Date.now() };
-        didNotify = true;
+      // 음소거(그룹 기본값 포함)/스누즈 채널은 폴링/상태 갱신만 하고 알림은 생략
+      if (isItemMuted(item, tagSettings)) {
+        evTrace.decision = "muted";
+        continue;
       }
+      if ((snoozed[item.key] || 0) > Date.now()) {
+        evTrace.decision = "snoozed";
+        continue;
+      }
+
+      // 방해 금지: 라이브 시작만 큐에 쌓고 나머지는 버림(즐겨찾기는 예외)
+      if (quiet && !item.favorite) {
+        if (ev.type === "live") queueMissed(missed, item, status);
+        evTrace.decision = ev.type === "live" ? "quiet-queued" : "quiet-dropped";
+        continue;
+      }
+
+      pending.push({ item, ev, status, evTrace });
+      markNotified(notified, item.key, ev);
+      didNotify = true;
+      evTrace.decision = "notified";
     }
 
+    const now = Date.now();
+    // 조회 실패로 이전 상태를 재사용한 경우에는 세션을 건드리지 않음
+    if (status.fetchOk) updateSessions(sessions, item, status, now);
+
     state[item.key] = {
       lastIsLive: status.isLive,
       lastSig: status.signature,
       lastTitle: status.title || "",
-      updatedAt: Date.now(),
+      lastCategory: status.category || "",
+      // 라이브 시작 시각(방송 시간 계산용): 이번에 켜졌으면 지금, 계속 라이브면 유지
+      liveSince: status.isLive ? (prev?.lastIsLive && prev?.liveSince) || now : null,
+      // 플랫폼이 알려준 값(없으면 null): 팝업의 방송 시간 / 시청자 수 / 썸네일
+      startedAt: status.startedAt,
+      viewers: status.viewers,
+      thumbnailUrl: status.thumbnailUrl || "",
+      adult: status.adult,
+      password: status.password,
+      viewerMilestone: milestone.level,
+      updatedAt: status.skipped ? prev?.updatedAt || now : now,
+      ...nextFetchHealth(prev, status, now),
     };
 
-    return { isLive: status.isLive, didNotify };
+    return { isLive: status.isLive, didNotify, fetchOk: status.fetchOk, skipped: !!status.skipped };
   });
 
-  const checked = watchlist.length;
+  const checked = active.length;
   const liveNow = results.filter((r) => r?.isLive).length;
   const notifiedCount = results.filter((r) => r?.didNotify).length;
+  const failures = results.filter((r) => !r?.fetchOk).length;
+  const skipped = results.filter((r) => r?.skipped).length;
+
+  // 기준보다 많으면 목록 알림 1개, 아니면 채널별 알림(1개는 항상 채널 알림)
+  if (pending.length > settings.batchNotifyAbove) {
+    for (const p of pending) p.evTrace.decision = "batched";
+    await notifyBatchDigest(pending);
+  } else if (pending.length) {
+    const byChannel = new Map();
+    for (const p of pending) byChannel.set(p.item.key, [...(byChannel.get(p.item.key) || []), p]);
+    await mapPool([...byChannel.values()], POLL_CONCURRENCY, (entries) => notifyChannel(entries, avatarCache, settings));
+  }
+
+  // 방해 금지가 끝났으면 놓친 라이브를 요약 알림 1개로
+  if (!quiet && missed.length) {
+    await notifyMissedDigest(missed);
+    missed.length = 0;
+  }
 
   await chrome.storage.local.set({
     [STORAGE_KEYS.state]: state,
     [STORAGE_KEYS.notified]: notified,
     [STORAGE_KEYS.avatarCache]: avatarCache,
+    [STORAGE_KEYS.missed]: missed,
+    [STORAGE_KEYS.pendingAutoOpen]: pendingAutoOpen,
+    [STORAGE_KEYS.sessions]: pruneSessions(sessions, watchlist, settings),
+    [STORAGE_KEYS.pollHealth]: { at: Date.now(), checked, failures },
   });
+  await appendPollTrace({ at: t0, reason, durationMs: Date.now() - t0, quiet, channels: traces });
+
+  await updateBadge();
 
   console.log(
-    `[poll] reason=${reason} checked=${checked} live=${liveNow} notified=${notifiedCount} ` +
+    `[poll] reason=${reason} checked=${checked} live=${liveNow} notified=${notifiedCount} webhooks=${webhookCount} filtered=${filteredCount} failed=${failures} skipped=${skipped} ` +
       `in ${Date.now() - t0}ms (timeout=${settings.requestTimeoutMs}ms, concurrency=${POLL_CONCURRENCY})`
   );
 
+  // 보통은 첫 시도 결과/로그까지 기다린 뒤 반환. 재시도가 필요한 대상은 기다리지 않고 백그라운드로
+  await settleWebhookDeliveries(webhookDeliveries);
+
   return { checked, liveNow, notified: notifiedCount };
 }
 
-function canNotify(key, sig, notified, settings) {
-  const cooldownMs = settings.cooldownMin * 60 * 1000;
-  const n = notified[key];
-  if (!n) return true;
+/** 채널별 설정(watchlist 항목)을 전역 설정 위에 덮어씀 */
+function resolveItemSettings(item, settings) {
+  const merged = { ...settings };
+  if (item.cooldownMin !== undefined && item.cooldownMin !== null && item.cooldownMin !== "") {
+    merged.cooldownMin = clampInt(item.cooldownMin, 0, 60 * 24);
+  }
+  if (typeof item.notifyIfAlreadyLive === "boolean") {
+    merged.notifyIfAlreadyLive = item.notifyIfAlreadyLive;
+  }
+  if (Array.isArray(item.viewerMilestones)) {
+    merged.viewerMilestones = normalizeViewerMilestones(item.viewerMilestones);
+  }
+  if (item.surgePct !== undefined && item.surgePct !== null && item.surgePct !== "") {
+    merged.surgePct = clampInt(item.surgePct, 10, 1000);
+  }
+  // 이벤트 종류별 on/off(설정과 같은 이름의 항목 값)
+  for (const k of Object.values(EVENT_SETTING_KEYS)) {
+    if (typeof item[k] === "boolean") merged[k] = item[k];
+  }
+  return merged;
+}
+
+/** 배지: 라이브 수(실패가 있으면 경고색, 라이브 0이면 "!") + 툴팁에 라이브 채널 */
+async function updateBadge() {
+  const {
+    [STORAGE_KEYS.watchlist]: watchlist = [],
+    [STORAGE_KEYS.state]: state = {},
+    [STORAGE_KEYS.pollHealth]: health = null,
+  } = await chrome.storage.local.get([STORAGE_KEYS.watchlist, STORAGE_KEYS.state, STORAGE_KEYS.pollHealth]);
+  await i18nReady;
+
+  const live = watchlist.filter((x) => isItemEnabled(x) && state[x.key]?.lastIsLive);
+  const failures = health?.failures || 0;
 
-  if (n.lastNotifiedSig === sig && cooldownMs > 0) {
-    return Date.now() - (n.lastNotifiedAt || 0) >= cooldownMs;
+  let text = live.length ? String(live.length) : "";
+  if (failures && !live.length) text = "!";
+
+  const lines = ["Live Notifier"];
+  if (live.length) lines.push(...live.map((x) => `● ${channelDisplayName(x)} (${platformLabel(x.platform)})`));
+  else lines.push(i18n(watchlist.length ? "badgeNoLiveChannels" : "badgeNoChannels"));
+  if (failures) lines.push(`⚠ ${i18n("badgeFailures", failures)}`);
+
+  try {
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setBadgeBackgroundColor({ color: failures ? BADGE_COLOR_WARN : BADGE_COLOR_LIVE });
+    await chrome.action.setTitle({ title: lines.join("\n") });
+  } catch (e) {
+    console.warn("[badge] update failed:", String(e?.message || e));
   }
-  return true;
 }
 
-function computeTransition({ prev, status, settings }) {
+/** notified[key] -> 이벤트 종류별 버킷(이전 단일 구조는 live 버킷으로 간주) */
+function getNotifiedBuckets(notified, key) {
+  const n = notified[key];
+  if (!n) return {};
+  if ("lastNotifiedSig" in n || "lastNotifiedAt" in n) {
+    return { live: { lastNotifiedSig: n.lastNotifiedSig, lastNotifiedAt: n.lastNotifiedAt } };
+  }
+  return n;
+}
+
+/** 쿨다운 판정: { ok, why }(why 는 진단 기록용 코드) */
+function canNotify(key, eventType, sig, notified, settings) {
+  const cooldownMs = settings.cooldownMin * 60 * 1000;
+  const n = getNotifiedBuckets(notified, key)[eventType];
+  if (!n) return { ok: true, why: "first" };
+  if (n.lastNotifiedSig !== sig) return { ok: true, why: "sig-changed" };
+  if (cooldownMs <= 0) return { ok: true, why: "no-cooldown" };
+
+  const remainingMs = cooldownMs - (Date.now() - (n.lastNotifiedAt || 0));
+  if (remainingMs > 0) return { ok: false, why: "cooldown", remainingMs };
+  return { ok: true, why: "cooldown-elapsed" };
+}
+
+function markNotified(notified, key, ev) {
+  notified[key] = {
+    ...getNotifiedBuckets(notified, key),
+    [ev.type]: { lastNotifiedSig: ev.signature, lastNotifiedAt: Date.now() },
+  };
+}
+
+/**
+ * 시청자 기준 도달 단계(state.viewerMilestone): 방송 중 도달한 가장 높은 기준
+ * - 올라갈 때는 기준을 넘는 즉시, 내려갈 때는 기준의 viewerHysteresisPct 아래로 떨어져야 단계가 내려감
+ *   (기준 근처에서 오르내려도 한 번만 알림)
+ * - 방송 시작/처음 본 채널은 현재 값으로 조용히 맞춤(이미 넘은 기준은 알리지 않음)
+ * - 시청자 수를 모르면(조회 실패 / 플랫폼 미제공) 이전 단계 유지
+ * @returns {{ level: number, crossed: number }} crossed 는 이번에 새로 넘은 기준(없으면 0)
+ */
+function nextViewerMilestone(prev, status, settings) {
+  if (!status.isLive) return { level: 0, crossed: 0 };
+
+  const viewers = status.viewers;
+  const milestones = settings.viewerMilestones || [];
+  const reachedAt = (v) => milestones.filter((m) => v >= m).pop() || 0;
+
+  if (!Number.isFinite(viewers)) return { level: prev?.viewerMilestone || 0, crossed: 0 };
+  if (!prev?.lastIsLive) return { level: reachedAt(viewers), crossed: 0 };
+
+  // 기준 목록이 바뀌어 없어진 단계는 그 아래 기준으로
+  let level = reachedAt(prev.viewerMilestone || 0);
+  const keep = 1 - settings.viewerHysteresisPct / 100;
+  while (level && viewers < level * keep) level = reachedAt(level - 1);
+
+  const up = reachedAt(viewers);
+  if (up > level) return { level: up, crossed: up };
+  return { level, crossed: 0 };
+}
+
+/** 직전 폴링 대비 급증: 증가율과 증가량을 모두 넘어야 함 */
+function isViewerSurge(prevViewers, viewers, settings) {
+  if (!Number.isFinite(prevViewers) || !Number.isFinite(viewers)) return false;
+  const delta = viewers - prevViewers;
+  return delta >= Math.max(1, settings.surgeMinDelta) && delta * 100 >= settings.surgePct * Math.max(1, prevViewers);
+}
+
+/** OFF → LIVE 전환인지(처음 본 채널이 이미 라이브면 notifyIfAlreadyLive 일 때만) */
+function isLiveStart(prev, status, settings) {
+  if (!status.isLive) return false;
+  return prev ? !prev.lastIsLive : !!settings.notifyIfAlreadyLive;
+}
+
+/** 이전 상태와 비교해 알림 이벤트 목록 생성(설정에서 꺼진 종류는 제외) */
+function computeTransition({ prev, status, settings, milestone }) {
   const isFirstSeen = !prev;
+  const who = status.displayName || status.id;
+  const events = [];
 
   // 최초 인식/재시작 때 이미 LIVE면, 옵션이 false면 알리지 않음
   if (isFirstSeen && status.isLive && !settings.notifyIfAlreadyLive) {
-    return { shouldNotify: false };
+    return events;
   }
 
   const prevLive = !!prev?.lastIsLive;
   const nowLive = !!status.isLive;
 
-  // ✅ 오프라인 -> 라이브 전환에서만 알림
-  if (!prevLive && nowLive) {
-    const who = status.displayName || status.id;
-    const title = `${who} 방송 시작!`;
-    const message = status.title ? status.title : "라이브가 시작되었습니다.";
-    return { shouldNotify: true, title, message };
+  if (isLiveStart(prev, status, settings)) {
+    events.push({
+      type: "live",
+      signature: status.signature,
+      title: i18n("eventLiveTitle", who),
+      message: status.title ? status.title : i18n("eventLiveMessage"),
+    });
   }
 
-  return { shouldNotify: false };
+  if (prevLive && !nowLive) {
+    const duration = prev.liveSince ? Date.now() - prev.liveSince : 0;
+    events.push({
+      type: "end",
+      signature: `END:${prev.lastSig || ""}`,
+      title: i18n("eventEndTitle", who),
+      message: duration > 0 ? i18n("eventEndDuration", formatDuration(duration)) : i18n("eventEndMessage"),
+    });
+  }
+
+  if (prevLive && nowLive) {
+    if (status.title && status.title !== (prev.lastTitle || "")) {
+      events.push({
+        type: "title",
+        signature: `TITLE:${status.title}`,
+        title: i18n("eventTitleTitle", who),
+        message: status.title,
+      });
+    }
+
+    // lastCategory 가 없던 이전 상태에서는 비교하지 않음
+    if (prev.lastCategory !== undefined && status.category && status.category !== prev.lastCategory) {
+      events.push({
+        type: "category",
+        signature: `CATEGORY:${status.category}`,
+        title: i18n("eventCategoryTitle", who),
+        message: prev.lastCategory ? `${prev.lastCategory} → ${status.category}` : status.category,
+      });
+    }
+
+    // 같은 기준은 쿨다운 동안 다시 알리지 않음(기준이 다르면 signature 가 달라 바로 알림)
+    if (milestone?.crossed) {
+      events.push({
+        type: "viewers",
+        signature: `VIEWERS:${milestone.crossed}`,
+        title: i18n("eventViewersTitle", who, formatNumber(milestone.crossed)),
+        message: `${i18n("eventViewersMessage", formatNumber(status.viewers))}${status.title ? ` · ${status.title}` : ""}`,
+      });
+    }
+
+    // 급증은 매번 값이 달라 signature 를 고정해 쿨다운으로만 묶음
+    if (isViewerSurge(prev.viewers, status.viewers, settings)) {
+      const pct = Math.round(((status.viewers - prev.viewers) / Math.max(1, prev.viewers)) * 100);
+      events.push({
+        type: "surge",
+        signature: "SURGE",
+        title: i18n("eventSurgeTitle", who),
+        message: i18n("eventSurgeMessage", formatNumber(prev.viewers), formatNumber(status.viewers), pct),
+      });
+    }
+  }
+
+  return events.filter((ev) => settings[EVENT_SETTING_KEYS[ev.type]]);
 }
 
-async function safeFetchStatus(item, settings, prev) {
+async function safeFetchStatus(item, settings, prev, { ignoreBackoff = false, requests } = {}) {
+  // 연속 실패로 백오프 중이면 요청 자체를 건너뜀
+  if (!ignoreBackoff && prev?.nextPollAt && Date.now() < prev.nextPollAt) {
+    return { ...staleStatus(item, prev, prev.lastError || ""), skipped: true };
+  }
+
   try {
-    const result = await withTimeout(fetchStatus(item), settings.requestTimeoutMs);
+    const result = await withTimeout(
+      (signal) => fetchStatus(item, { settings, requests, signal }),
+      settings.requestTimeoutMs
+    );
     return {
       platform: item.platform,
       id: item.id,
       key: item.key,
-      displayName: item.name || "",
+      displayName: item.name || item.nickname || "",
+      fetchOk: true,
+      error: "",
       isLive: !!result.isLive,
       title: result.title || "",
+      category: result.category || "",
       signature: result.signature || (result.isLive ? "LIVE" : "OFF"),
       url: result.url || buildDefaultUrl(item),
+      thumbnailUrl: result.isLive ? result.thumbnailUrl || "" : "",
+      viewers: result.isLive && Number.isFinite(result.viewers) ? result.viewers : null,
+      startedAt: result.isLive && Number.isFinite(result.startedAt) ? result.startedAt : null,
+      adult: !!result.isLive && !!result.adult,
+      password: !!result.isLive && !!result.password,
     };
   } catch (e) {
-    // ✅ 실패 시 이전 상태 유지(OFF 오판으로 중복 알림 방지)
+    return staleStatus(item, prev, String(e?.message || e));
+  }
+}
+
+/** ✅ 실패 시 이전 상태 유지(OFF 오판으로 중복 알림 방지) */
+function staleStatus(item, prev, error) {
+  return {
+    platform: item.platform,
+    id: item.id,
+    key: item.key,
+    displayName: item.name || item.nickname || "",
+    fetchOk: false,
+    error,
+    isLive: !!prev?.lastIsLive,
+    title: prev?.lastTitle || "",
+    category: prev?.lastCategory || "",
+    signature: prev?.lastSig || "UNKNOWN",
+    url: buildDefaultUrl(item),
+    thumbnailUrl: prev?.thumbnailUrl || "",
+    viewers: prev?.viewers ?? null,
+    startedAt: prev?.startedAt ?? null,
+    adult: !!prev?.adult,
+    password: !!prev?.password,
+  };
+}
+
+/** 채널별 조회 건강 상태: 성공하면 초기화, 실패가 이어지면 백오프 */
+function nextFetchHealth(prev, status, now) {
+  if (status.skipped) {
     return {
-      platform: item.platform,
-      id: item.id,
-      key: item.key,
-      displayName: item.name || "",
-      isLive: !!prev?.lastIsLive,
-      title: prev?.lastTitle || "",
-      signature: prev?.lastSig || "UNKNOWN",
-      url: buildDefaultUrl(item),
+      failCount: prev?.failCount || 0,
+      lastError: prev?.lastError || "",
+      lastSuccessAt: prev?.lastSuccessAt || null,
+      nextPollAt: prev?.nextPollAt || null,
     };
   }
+
+  if (status.fetchOk) {
+    return { failCount: 0, lastError: "", lastSuccessAt: now, nextPollAt: null };
+  }
+
+  const failCount = (prev?.failCount || 0) + 1;
+  let nextPollAt = null;
+  if (failCount >= BACKOFF_AFTER_FAILURES) {
+    const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (failCount - BACKOFF_AFTER_FAILURES));
+    nextPollAt = now + delay;
+  }
+  return { failCount, lastError: status.error, lastSuccessAt: prev?.lastSuccessAt || null, nextPollAt };
 }
 
-function buildDefaultUrl(item) {
-  if (item.platform === "chzzk") return `https://chzzk.naver.com/live/${item.id}`;
-  if (item.platform === "soop") return `https://play.sooplive.co.kr/${item.id}`;
-  return "https://www.google.com";
+/** 방해 금지 중 라이브 시작: 채널당 1건만 유지(최근 것으로 교체) */
+function queueMissed(missed, item, status) {
+  const entry = {
+    key: item.key,
+    name: status.displayName || status.id,
+    title: status.title || "",
+    url: status.url,
+    at: Date.now(),
+  };
+  const idx = missed.findIndex((m) => m.key === item.key);
+  if (idx >= 0) missed[idx] = entry;
+  else missed.push(entry);
 }
 
-async function fetchStatus(item) {
-  if (item.platform === "chzzk") return await fetchChzzk(item.id);
-  if (item.platform === "soop") return await fetchSoop(item.id);
-  throw new Error(`unknown platform: ${item.platform}`);
+/** 요약 알림 본문: 이름은 5개까지, 나머지는 "외 N명" */
+function joinDigestNames(names) {
+  const shown = names.slice(0, 5).join(", ");
+  const rest = names.length > 5 ? i18n("digestMoreNames", names.length - 5) : "";
+  return `${shown}${rest}`;
 }
 
-/** CHZZK: live-status */
-async function fetchChzzk(channelId) {
-  const urls = [
-    `https://api.chzzk.naver.com/polling/v2/channels/${channelId}/live-status`,
-    `https://api.chzzk.naver.com/polling/v1/channels/${channelId}/live-status`,
-  ];
+async function notifyMissedDigest(missed) {
+  await notify({
+    title: i18n("missedDigestTitle", missed.length),
+    message: joinDigestNames(missed.map((m) => m.name)),
+    action: "openPopup",
+  });
+}
 
-  let lastErr = null;
+/** 한 채널의 이번 폴링 알림들. 프로필 아이콘/썸네일은 한 번만 조회(종료 알림에는 썸네일 없음) */
+async function notifyChannel(entries, avatarCache, settings) {
+  const { item, status } = entries[0];
+  let avatarIconUrl;
+  let thumbnailDataUrl;
 
-  for (const url of urls) {
-    try {
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const json = await res.json();
+  for (const { ev } of entries) {
+    if (avatarIconUrl === undefined) avatarIconUrl = await getAvatarIconUrl(item, avatarCache, settings);
+    if (ev.type !== "end" && thumbnailDataUrl === undefined) {
+      thumbnailDataUrl = await getThumbnailDataUrl(status.thumbnailUrl);
+    }
+    await notify({
+      title: ev.title,
+      message: ev.message,
+      url: status.url,
+      iconUrl: avatarIconUrl || DEFAULT_ICON_URL,
+      imageUrl: ev.type === "end" ? null : thumbnailDataUrl,
+      priority: item.priority,
+      key: item.key,
+      event: ev.type,
+    });
+  }
+}
 
-      const content = json?.content || {};
-      const status = String(content.status || "").toUpperCase();
-      const isLive = status === "OPEN";
-      const title = content.liveTitle || "";
-      const signature = isLive ? `OPEN:${title}` : "OFF";
+/** 이번 폴링의 알림을 목록 알림 1개로(항목: 이벤트 제목 + 방송 제목). 클릭하면 팝업 */
+async function notifyBatchDigest(pending) {
+  const names = [...new Set(pending.map(({ item, status }) => status.displayName || channelDisplayName(item)))];
+
+  await notify({
+    title: i18n("batchDigestTitle", pending.length),
+    message: joinDigestNames(names),
+    items: pending.map(({ ev }) => ({ title: ev.title, message: ev.message || "" })),
+    // 높음 채널이 하나라도 있으면 묶음도 닫을 때까지 유지
+    priority: pending.some(({ item }) => item.priority === "high") ? "high" : "normal",
+    action: "openPopup",
+  });
+}
 
-      return { isLive, title, signature, url: `https://chzzk.naver.com/live/${channelId}` };
-    } catch (e) {
-      lastErr = e;
+/** 팝업 열기(지원되지 않으면 탭으로) */
+async function openPopupView() {
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    chrome.tabs.create({ url: chrome.runtime.getURL("popup.html") });
+  }
+}
+
+/** 열린 탭 중 같은 채널 주소가 있는지(주소 형식이 달라도 플랫폼/ID 로 비교) */
+async function findChannelTab(item) {
+  const tabs = await chrome.tabs.query({});
+  const id = item.id.toLowerCase();
+  return (
+    tabs.find((tab) => {
+      const detected = detectChannelFromUrl(tab.url);
+      return detected?.platform === item.platform && detected.id.toLowerCase() === id;
+    }) || null
+  );
+}
+
+/** 라이브 시작 시 자동 열기. 결과 코드(opened / duplicate / locked / error)를 진단 기록에 남김 */
+async function autoOpenChannel(item, url) {
+  try {
+    if ((await chrome.idle.queryState(IDLE_DETECTION_SEC)) === "locked") return "locked";
+    if (await findChannelTab(item)) return "duplicate";
+
+    if (item.autoOpen === "window") {
+      await chrome.windows.create({ url, type: "popup", focused: true, ...AUTO_OPEN_WINDOW });
+    } else if (item.autoOpen === "focused") {
+      const tab = await chrome.tabs.create({ url, active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    } else {
+      await chrome.tabs.create({ url, active: false });
     }
+    return "opened";
+  } catch (e) {
+    console.warn("[autoOpen] failed:", String(e?.message || e));
+    return "error";
   }
+}
 
-  throw lastErr || new Error("CHZZK fetch failed");
+/** 화면 잠김으로 미룬 자동 열기를 다시 시도(그 사이 끝났거나 꺼 둔/지운 채널은 버림) */
+async function flushPendingAutoOpen() {
+  const {
+    [STORAGE_KEYS.pendingAutoOpen]: pending = {},
+    [STORAGE_KEYS.watchlist]: watchlist = [],
+    [STORAGE_KEYS.state]: state = {},
+  } = await chrome.storage.local.get([STORAGE_KEYS.pendingAutoOpen, STORAGE_KEYS.watchlist, STORAGE_KEYS.state]);
+  if (!Object.keys(pending).length) return;
+
+  const retry = {};
+  for (const [key, url] of Object.entries(pending)) {
+    const item = watchlist.find((x) => x.key === key);
+    if (!item || !isItemEnabled(item) || !item.autoOpen || !state[key]?.lastIsLive) continue;
+    if ((await autoOpenChannel(item, url)) === "locked") retry[key] = url;
+  }
+  await chrome.storage.local.set({ [STORAGE_KEYS.pendingAutoOpen]: retry });
 }
 
-/** SOOP: player_live_api.php */
-async function fetchSoop(streamerId) {
-  const url = `https://live.sooplive.co.kr/afreeca/player_live_api.php?bjid=${encodeURIComponent(streamerId)}`;
-  const body = new URLSearchParams({
-    bid: streamerId,
-    type: "live",
-    pwd: "",
-    player_type: "html5",
-    stream_type: "common",
-    quality: "HD",
-    mode: "landing",
-    from_api: "0",
-    is_revive: "false",
-  });
+/** 다음날 00:00(로컬) */
+function startOfTomorrow() {
+  const d = new Date();
+  d.setHours(24, 0, 0, 0);
+  return d.getTime();
+}
 
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: body.toString(),
-  });
+/** 채널 알림을 until 까지 보류(만료된 항목은 같이 정리) */
+async function snoozeChannel(key, until) {
+  const { [STORAGE_KEYS.snoozed]: snoozed = {} } = await chrome.storage.local.get([STORAGE_KEYS.snoozed]);
+  const now = Date.now();
+  for (const k of Object.keys(snoozed)) if (snoozed[k] <= now) delete snoozed[k];
+  snoozed[key] = until;
+  await chrome.storage.local.set({ [STORAGE_KEYS.snoozed]: snoozed });
+}
 
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+/**
+ * 감시 목록에서 key 가 바뀐 채널(플랫폼 이동)의 기기별 데이터 정리. moves: [{ from, to }]
+ * - 상태 / 알림 기록 / 프로필 캐시 / 알림 매핑은 플랫폼마다 다르므로 양쪽 key 모두 지움(새 key 는 처음 보는 채널)
+ * - 스누즈는 사용자가 정한 것이라 새 key 로 옮김
+ */
+async function moveChannelData(moves) {
+  if (!moves.length) return;
+  const {
+    [STORAGE_KEYS.state]: state = {},
+    [STORAGE_KEYS.notified]: notified = {},
+    [STORAGE_KEYS.avatarCache]: avatarCache = {},
+    [STORAGE_KEYS.snoozed]: snoozed = {},
+  } = await chrome.storage.local.get([
+    STORAGE_KEYS.state,
+    STORAGE_KEYS.notified,
+    STORAGE_KEYS.avatarCache,
+    STORAGE_KEYS.snoozed,
+  ]);
 
-  const json = await res.json();
-  const ch = json?.CHANNEL || {};
-  const resultCode = Number(ch.RESULT);
+  for (const { from, to } of moves) {
+    for (const map of [state, notified, avatarCache]) {
+      delete map[from];
+      delete map[to];
+    }
+    if (snoozed[from]) snoozed[to] = snoozed[from];
+    delete snoozed[from];
+  }
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.state]: state,
+    [STORAGE_KEYS.notified]: notified,
+    [STORAGE_KEYS.avatarCache]: avatarCache,
+    [STORAGE_KEYS.snoozed]: snoozed,
+  });
 
-  const isLive = resultCode === 1;
-  const title = ch.TITLE || "";
-  const bno = ch.BNO || ch.PBNO || "";
-  const signature = isLive ? `LIVE:${bno || title}` : "OFF";
+  const fromKeys = new Set(moves.map((m) => m.from));
+  await withNotifMapLock(async () => {
+    const { [STORAGE_KEYS.notifMap]: notifMap = {} } = await chrome.storage.local.get([STORAGE_KEYS.notifMap]);
+    for (const [id, entry] of Object.entries(notifMap)) if (fromKeys.has(entry?.key)) delete notifMap[id];
+    await chrome.storage.local.set({ [STORAGE_KEYS.notifMap]: notifMap });
+  });
+  await updateBadge();
+}
 
-  return { isLive, title, signature, url: `https://play.sooplive.co.kr/${streamerId}` };
+/** 라이브 썸네일 -> data URL(실패하면 null, 이미지 없이 알림) */
+async function getThumbnailDataUrl(url) {
+  if (!url) return null;
+  try {
+    return await fetchImageAsDataUrl(url, { timeoutMs: 5000 });
+  } catch (e) {
+    console.warn("[thumbnail] failed:", String(e?.message || e));
+    return null;
+  }
 }
 
-/** ✅ 알림: 프로필 아이콘 시도 -> 실패 시 기본 아이콘 폴백 */
-async function notify({ title, message, url, iconUrl }) {
+/** ✅ 알림: 썸네일/프로필 아이콘 시도 -> 실패 시 단계적으로 폴백(기본 아이콘까지) */
+async function notify({ title, message, items, url, iconUrl, imageUrl, priority, action, key, event }) {
   const notificationId = `live:${Date.now()}:${Math.random().toString(16).slice(2)}`;
+  const priorityOptions = PRIORITY_OPTIONS[priority] || PRIORITY_OPTIONS.normal;
+  const icon = iconUrl || DEFAULT_ICON_URL;
 
-  // 1) 먼저 전달된 아이콘(프로필 등)로 시도
-  let createdId = await createNotification({
-    notificationId,
-    title,
-    message,
-    iconUrl: iconUrl || DEFAULT_ICON_URL,
-  });
+  // 1) 썸네일 + 아이콘 -> 2) 아이콘만 -> 3) 기본 아이콘
+  const attempts = [];
+  if (imageUrl) attempts.push({ iconUrl: icon, imageUrl });
+  attempts.push({ iconUrl: icon });
+  if (icon !== DEFAULT_ICON_URL) attempts.push({ iconUrl: DEFAULT_ICON_URL });
 
-  // 2) 이미지 다운로드 실패 등으로 create가 실패하면 기본 아이콘으로 재시도
-  if (!createdId && iconUrl && iconUrl !== DEFAULT_ICON_URL) {
+  let createdId = null;
+  for (const attempt of attempts) {
     createdId = await createNotification({
       notificationId,
       title,
       message,
-      iconUrl: DEFAULT_ICON_URL,
+      items,
+      // 채널 알림에만 스누즈/음소거 버튼
+      buttons: key ? CHANNEL_NOTIFICATION_BUTTONS : null,
+      ...priorityOptions,
+      ...attempt,
     });
+    if (createdId) break;
   }
 
   if (!createdId) return;
 
-  await upsertNotifMap(createdId, url);
+  await upsertNotifMap(createdId, { url, action, key, event });
 }
 
-async function createNotification({ notificationId, title, message, iconUrl }) {
+async function createNotification({
+  notificationId,
+  title,
+  message,
+  items,
+  iconUrl,
+  imageUrl,
+  buttons,
+  priority = 0,
+  requireInteraction = false,
+}) {
+  const options = {
+    type: items ? "list" : imageUrl ? "image" : "basic",
+    iconUrl,
+    title,
+    message: message || "",
+    priority,
+    requireInteraction,
+  };
+  if (items) options.items = items;
+  if (imageUrl) options.imageUrl = imageUrl;
+  if (buttons) {
+    options.buttons = buttons.map((b) => ({ title: i18n(b.titleKey) }));
+    options.contextMessage = i18n("notifContextWatch");
+  }
+
   return await new Promise((resolve) => {
-    chrome.notifications.create(
-      notificationId,
-      {
-        type: "basic",
-        iconUrl,
-        title,
-        message: message || "",
-      },
-      (id) => {
-        if (chrome.runtime.lastError) {
-          console.error("[notify] create failed:", chrome.runtime.lastError.message);
-          resolve(null);
-          return;
-        }
-        console.log("[notify] created:", id);
-        resolve(id);
+    chrome.notifications.create(notificationId, options, (id) => {
+      if (chrome.runtime.lastError) {
+        console.error("[notify] create failed:", chrome.runtime.lastError.message);
+        resolve(null);
+        return;
       }
-    );
+      console.log("[notify] created:", id);
+      resolve(id);
+    });
   });
 }
 
@@ -457,10 +1298,10 @@ async function withNotifMapLock(fn) {
   await notifMapMutex;
 }
 
-async function upsertNotifMap(notificationId, url) {
+async function upsertNotifMap(notificationId, entry) {
   await withNotifMapLock(async () => {
     const { [STORAGE_KEYS.notifMap]: notifMap = {} } = await chrome.storage.local.get([STORAGE_KEYS.notifMap]);
-    notifMap[notificationId] = { url };
+    notifMap[notificationId] = entry;
     await chrome.storage.local.set({ [STORAGE_KEYS.notifMap]: notifMap });
   });
 }
@@ -480,8 +1321,76 @@ async function deleteNotifMapEntry(notificationId) {
   });
 }
 
+/** 프로필 원본 URL 캐시 갱신(URL 이 바뀌면 data URL 캐시는 버림) */
+function cacheAvatarUrl(avatarCache, key, url, now = Date.now()) {
+  if (!url) return;
+  const cached = avatarCache[key] || {};
+  avatarCache[key] = cached.url === url ? { ...cached, fetchedAt: now } : { url, fetchedAt: now };
+}
+
+/** 채널 존재 확인 + 닉네임/프로필 조회(프로필은 avatarCache 에 저장) */
+async function resolveAndCacheChannel(platform, id) {
+  const settings = await getSettings();
+  const info = await withTimeout(
+    (signal) => resolveChannel(platform, id, { settings, signal }),
+    settings.requestTimeoutMs
+  );
+
+  if (info.exists && info.avatarUrl) {
+    const { [STORAGE_KEYS.avatarCache]: avatarCache = {} } = await chrome.storage.local.get([STORAGE_KEYS.avatarCache]);
+    cacheAvatarUrl(avatarCache, `${platform}:${id}`, info.avatarUrl);
+    await chrome.storage.local.set({ [STORAGE_KEYS.avatarCache]: avatarCache });
+  }
+  return info;
+}
+
+/** 감시 목록 닉네임/프로필 갱신(사용자가 입력한 name 은 건드리지 않음) */
+async function refreshMetadata({ onlyMissing = false } = {}) {
+  const settings = await getSettings();
+  const { [STORAGE_KEYS.watchlist]: watchlist = [] } = await chrome.storage.local.get([STORAGE_KEYS.watchlist]);
+  const targets = onlyMissing ? watchlist.filter((x) => !x.nickname) : watchlist;
+  if (!targets.length) return 0;
+
+  const infos = await mapPool(targets, POLL_CONCURRENCY, async (item) => {
+    try {
+      const info = await withTimeout(
+        (signal) => resolveChannel(item.platform, item.id, { settings, signal }),
+        settings.requestTimeoutMs
+      );
+      return info.exists ? { key: item.key, ...info } : null;
+    } catch (e) {
+      console.warn("[metadata] resolve failed:", item.key, String(e?.message || e));
+      return null;
+    }
+  });
+
+  // 조회하는 동안 목록이 바뀌었을 수 있으므로 다시 읽어서 key 기준으로 반영
+  const {
+    [STORAGE_KEYS.watchlist]: latest = [],
+    [STORAGE_KEYS.avatarCache]: avatarCache = {},
+  } = await chrome.storage.local.get([STORAGE_KEYS.watchlist, STORAGE_KEYS.avatarCache]);
+
+  let updated = 0;
+  for (const info of infos) {
+    if (!info) continue;
+    cacheAvatarUrl(avatarCache, info.key, info.avatarUrl);
+    const item = latest.find((x) => x.key === info.key);
+    if (item && info.nickname && item.nickname !== info.nickname) {
+      item.nickname = info.nickname;
+      updated += 1;
+    }
+  }
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.avatarCache]: avatarCache,
+    ...(updated ? { [STORAGE_KEYS.watchlist]: latest } : {}),
+  });
+  console.log(`[metadata] checked=${targets.length} updated=${updated}`);
+  return updated;
+}
+
 /** ✅ 스트리머 프로필 이미지 URL 가져오기 + 캐시 */
-async function getAvatarIconUrl(item, avatarCache) {
+async function getAvatarIconUrl(item, avatarCache, settings) {
   try {
     const cached = avatarCache[item.key] || {};
     const now = Date.now();
@@ -496,8 +1405,7 @@ async function getAvatarIconUrl(item, avatarCache) {
     if (cached.url && cached.fetchedAt && now - cached.fetchedAt < AVATAR_CACHE_TTL_MS) {
       url = cached.url;
     } else {
-      if (item.platform === "chzzk") url = await fetchChzzkAvatarUrl(item.id);
-      if (item.platform === "soop") url = await fetchSoopAvatarUrl(item.id);
+      url = await withTimeout((signal) => fetchAvatarUrl(item, { settings, signal }), settings.requestTimeoutMs);
 
       if (url) avatarCache[item.key] = { ...cached, url, fetchedAt: now };
     }
@@ -516,35 +1424,6 @@ async function getAvatarIconUrl(item, avatarCache) {
   }
 }
 
-/** CHZZK: channel info -> channelImageUrl */
-async function fetchChzzkAvatarUrl(channelId) {
-  const res = await fetch(`https://api.chzzk.naver.com/service/v1/channels/${channelId}`);
-  if (!res.ok) throw new Error(`CHZZK channel info HTTP ${res.status}`);
-
-  const json = await res.json();
-  const content = json?.content || {};
-  const img = content.channelImageUrl;
-  if (!img) return null;
-
-  return String(img);
-}
-
-/** SOOP: station page HTML og:image */
-async function fetchSoopAvatarUrl(bjid) {
-  const res = await fetch(`https://play.sooplive.co.kr/${encodeURIComponent(bjid)}`);
-  if (!res.ok) throw new Error(`SOOP station HTML HTTP ${res.status}`);
-
-  const html = await res.text();
-
-  const m1 = html.match(/<meta[^>]+property=["']og:image["'][^>]+content=["']([^"']+)["']/i);
-  const m2 = html.match(/<meta[^>]+content=["']([^"']+)["'][^>]+property=["']og:image["']/i);
-  const url = (m1?.[1] || m2?.[1] || "").trim();
-
-  if (!url) return null;
-  if (url.startsWith("//")) return `https:${url}`;
-  return url;
-}
-
 /** 동시성 제한 map(pool) */
 async function mapPool(items, limit, fn) {
   const results = new Array(items.length);
@@ -566,11 +1445,18 @@ async function mapPool(items, limit, fn) {
   return results;
 }
 
-/** 단순 타임아웃 래퍼(AbortController 미사용) */
-function withTimeout(promise, ms) {
+/**
+ * 타임아웃 래퍼: run(signal) 을 실행하고 ms 가 지나면 signal 을 abort.
+ * provider 가 signal 을 hostFetch 에 넘기므로 끊긴 요청은 바로 호스트 슬롯을 돌려줌
+ */
+function withTimeout(run, ms) {
+  const ctrl = new AbortController();
   return new Promise((resolve, reject) => {
-    const t = setTimeout(() => reject(new Error("timeout")), ms);
-    promise
+    const t = setTimeout(() => {
+      ctrl.abort(new Error("timeout"));
+      reject(new Error("timeout"));
+    }, ms);
+    run(ctrl.signal)
       .then((v) => {
         clearTimeout(t);
         resolve(v);
@@ -0,0 +1,67 @@
+/* SOOP/CHZZK Live Notifier - 방송 세션 기록(service_worker 에서 importScripts)
+ * - 폴링 결과로 세션을 열고/갱신하고/닫음
+ * - 보관 기간(settings.historyRetentionDays) + 최대 개수로 정리
+ *
+ * 세션: { key, platform, id, name, startedAt, endedAt, lastSeenAt, titles, category, peakViewers }
+ * - endedAt 이 null 이면 진행 중
+ * - 종료 시각은 마지막으로 LIVE 를 확인한 폴링 시각(lastSeenAt) 기준
+ */
+
+const SESSION_MAX_ENTRIES = 2000;
+const SESSION_MAX_TITLES = 20;
+
+function findOpenSession(sessions, key) {
+  for (let i = sessions.length - 1; i >= 0; i--) {
+    if (sessions[i].key === key && !sessions[i].endedAt) return sessions[i];
+  }
+  return null;
+}
+
+/** 채널 하나의 폴링 결과 반영 */
+function updateSessions(sessions, item, status, now = Date.now()) {
+  const open = findOpenSession(sessions, item.key);
+
+  if (!status.isLive) {
+    if (open) open.endedAt = open.lastSeenAt || now;
+    return;
+  }
+
+  const viewers = Number.isFinite(status.viewers) ? status.viewers : null;
+
+  if (!open) {
+    sessions.push({
+      key: item.key,
+      platform: item.platform,
+      id: item.id,
+      name: status.displayName || item.id,
+      startedAt: status.startedAt || now,
+      endedAt: null,
+      lastSeenAt: now,
+      titles: status.title ? [status.title] : [],
+      category: status.category || "",
+      peakViewers: viewers,
+    });
+    return;
+  }
+
+  open.lastSeenAt = now;
+  open.name = status.displayName || open.name;
+  if (status.title && !open.titles.includes(status.title)) {
+    open.titles.push(status.title);
+    if (open.titles.length > SESSION_MAX_TITLES) open.titles.shift();
+  }
+  if (status.category) open.category = status.category;
+  if (viewers !== null) open.peakViewers = Math.max(open.peakViewers ?? 0, viewers);
+}
+
+/** 감시 목록에서 빠진 채널의 진행 중 세션 닫기 + 오래된 기록 정리 */
+function pruneSessions(sessions, watchlist, settings, now = Date.now()) {
+  const keys = new Set(watchlist.map((x) => x.key));
+  for (const s of sessions) {
+    if (!s.endedAt && !keys.has(s.key)) s.endedAt = s.lastSeenAt || now;
+  }
+
+  const cutoff = now - settings.historyRetentionDays * 24 * 60 * 60 * 1000;
+  const kept = sessions.filter((s) => !s.endedAt || s.endedAt >= cutoff);
+  return kept.slice(Math.max(0, kept.length - SESSION_MAX_ENTRIES));
+}
@@ -0,0 +1,133 @@
+/* SOOP/CHZZK Live Notifier - 단축키 / 주소창 명령(service_worker 에서 importScripts)
+ * - chrome.commands: 지금 체크 / 가장 최근에 시작한 라이브 열기 / 라이브 채널 순환
+ * - omnibox("live <이름>"): 감시 목록 검색 + LIVE/OFF 표시, 고르면 채널 열기
+ * - 이미 열린 채널 탭이 있으면 새로 열지 않고 그 탭으로 전환
+ *
+ * storage.session:
+ *   liveCycle - { key, tabId } 마지막으로 순환한 채널과 순환에 쓰는 탭(브라우저를 닫으면 초기화)
+ */
+
+const SHORTCUT_COMMANDS = {
+  pollNow: "poll-now",
+  openLatestLive: "open-latest-live",
+  cycleLive: "cycle-live",
+};
+
+const LIVE_CYCLE_KEY = "liveCycle";
+const OMNIBOX_SUGGEST_MAX = 6;
+
+/** 꺼 둔 채널은 다음 폴링이 상태를 지우기 전이라도 라이브로 치지 않음(팝업 isLiveNow 와 같은 기준) */
+function isChannelLive(item, state) {
+  return isItemEnabled(item) && !!state[item.key]?.lastIsLive;
+}
+
+/** 라이브 중인 채널: 최근에 시작한 것부터 */
+async function getLiveChannels() {
+  const { watchlist = [], state = {} } = await chrome.storage.local.get(["watchlist", "state"]);
+  const startedAt = (item) => state[item.key].startedAt || state[item.key].liveSince || 0;
+  return watchlist.filter((item) => isChannelLive(item, state)).sort((a, b) => startedAt(b) - startedAt(a));
+}
+
+/** 탭과 그 창을 앞으로 */
+async function focusTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/** 열린 채널 탭이 있으면 전환, 없으면 새 탭 */
+async function openChannel(item) {
+  const tab = await findChannelTab(item);
+  if (tab) {
+    await focusTab(tab);
+    return tab;
+  }
+  return chrome.tabs.create({ url: buildDefaultUrl(item), active: true });
+}
+
+async function openLatestLive() {
+  const [latest] = await getLiveChannels();
+  if (latest) await openChannel(latest);
+}
+
+/** 라이브 채널을 하나씩 돌아가며 보여줌. 새 채널은 순환용 탭 하나에서 주소만 바꿔 탭이 쌓이지 않게 함 */
+async function cycleLiveChannel() {
+  const live = await getLiveChannels();
+  if (!live.length) return;
+
+  const { [LIVE_CYCLE_KEY]: cycle = {} } = await chrome.storage.session.get([LIVE_CYCLE_KEY]);
+  const index = live.findIndex((item) => item.key === cycle.key);
+  const next = live[(index + 1) % live.length];
+
+  // 사용자가 직접 연 채널 탭은 전환만 하고 순환용 탭으로 삼지 않음
+  let tabId = cycle.tabId ?? null;
+  const existing = await findChannelTab(next);
+  if (existing) {
+    await focusTab(existing);
+  } else {
+    const cycleTab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+    if (cycleTab) {
+      await chrome.tabs.update(cycleTab.id, { url: buildDefaultUrl(next), active: true });
+      await chrome.windows.update(cycleTab.windowId, { focused: true });
+    } else {
+      tabId = (await chrome.tabs.create({ url: buildDefaultUrl(next), active: true })).id;
+    }
+  }
+
+  await chrome.storage.session.set({ [LIVE_CYCLE_KEY]: { key: next.key, tabId } });
+}
+
+/** omnibox description 은 XML 이므로 이스케이프 필요 */
+function escapeXml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+/** 이름 / 닉네임 / ID 에 검색어가 들어간 채널: 앞에서 맞는 것, 라이브 먼저 */
+function matchOmniboxChannels(watchlist, state, text) {
+  const query = String(text || "").trim().toLowerCase();
+  const fields = (item) => [item.name, item.nickname, item.id].filter(Boolean).map((x) => String(x).toLowerCase());
+  const rank = (item) => {
+    const values = fields(item);
+    if (values.some((v) => v.startsWith(query))) return 0;
+    if (values.some((v) => v.includes(query))) return 1;
+    return -1;
+  };
+
+  return watchlist
+    .map((item) => ({ item, rank: query ? rank(item) : 0, live: isChannelLive(item, state) }))
+    .filter((x) => x.rank >= 0)
+    .sort((a, b) => Number(b.live) - Number(a.live) || a.rank - b.rank)
+    .map((x) => x.item);
+}
+
+async function suggestOmnibox(text, suggest) {
+  const { watchlist = [], state = {} } = await chrome.storage.local.get(["watchlist", "state"]);
+  const matches = matchOmniboxChannels(watchlist, state, text).slice(0, OMNIBOX_SUGGEST_MAX);
+
+  suggest(
+    matches.map((item) => {
+      const st = state[item.key];
+      const live = isChannelLive(item, state) ? `<match>LIVE</match>${st.lastTitle ? ` ${escapeXml(st.lastTitle)}` : ""}` : "OFF";
+      return {
+        content: item.key,
+        description: `${escapeXml(channelDisplayName(item))} <dim>· ${escapeXml(platformLabel(item.platform))} · </dim>${live}`,
+      };
+    })
+  );
+}
+
+/** 제안을 고르면 content 가 채널 key, 직접 입력하고 Enter 면 가장 잘 맞는 채널 */
+async function enterOmnibox(text, disposition) {
+  const { watchlist = [], state = {} } = await chrome.storage.local.get(["watchlist", "state"]);
+  const item = watchlist.find((x) => x.key === text) || matchOmniboxChannels(watchlist, state, text)[0];
+  if (!item) return;
+
+  const url = buildDefaultUrl(item);
+  if (disposition === "newForegroundTab") await chrome.tabs.create({ url, active: true });
+  else if (disposition === "newBackgroundTab") await chrome.tabs.create({ url, active: false });
+  else await chrome.tabs.update({ url });
+}
@@ -0,0 +1,399 @@
+/* SOOP/CHZZK Live Notifier - 기기 간 동기화(service_worker 에서 importScripts)
+ * - watchlist / settings / 그룹 기본값(tagSettings)만 chrome.storage.sync 로 동기화(state, notified, avatarCache 등은 기기별)
+ * - watchlist / 툼스톤은 항목 단위로 묶어 8KB 이하 청크(wl_0, wl_1, ... / wt_0, wt_1, ...)로 나눠 저장
+ * - 쓰기 전에 항목별(QUOTA_BYTES_PER_ITEM) / 전체(QUOTA_BYTES) 크기 확인
+ * - 충돌: 항목별 updatedAt(없으면 addedAt)이 새 쪽 우선, 삭제는 툼스톤(key -> 삭제 시각)
+ *   (지난 동기화 뒤 새로 생긴 항목은 다시 추가/가져오기여도 지금 시각 → 예전 툼스톤보다 새 항목)
+ * - 목록 순서는 마지막으로 순서를 바꾼 기기 우선(orderUpdatedAt). 추가/삭제만으로는 순서 변경으로 보지 않음
+ * - settings + tagSettings 는 통째로 마지막 수정 시각이 새 쪽 우선. 인증 정보(SYNC_LOCAL_ONLY_SETTINGS)는 올리지 않고 기기 값 유지
+ *
+ * storage.sync:
+ *   wl_meta - { rev, chunks, tombstoneChunks, settingsUpdatedAt, orderUpdatedAt, updatedAt }
+ *             (tombstones 는 예전 형식: 읽을 때만 합침)
+ *   wl_N    - { rev, items: [...] } (rev 가 meta 와 다르면 아직 전송 중인 것으로 보고 건너뜀)
+ *   wt_N    - { rev, tombstones: { key: 삭제 시각 } } (rev 규칙은 wl_N 과 같음)
+ *   cfg     - { rev, settings, tagSettings }
+ * storage.local:
+ *   syncEnabled - 이 기기에서 사용 여부(동기화하지 않음)
+ *   syncShadow  - 마지막으로 맞춘 상태 { entries: key -> item, tombstones, settings, tagSettings, settingsUpdatedAt,
+ *                 order: [key], orderUpdatedAt, syncedAt }
+ *   syncStatus  - { lastSyncAt, lastError, bytesInUse, quotaBytes, channels }
+ */
+
+const SYNC_KEYS = {
+  meta: "wl_meta",
+  chunkPrefix: "wl_",
+  tombstonePrefix: "wt_",
+  settings: "cfg",
+};
+const SYNC_LOCAL_KEYS = {
+  enabled: "syncEnabled",
+  shadow: "syncShadow",
+  status: "syncStatus",
+};
+
+const SYNC_ALARM_NAME = "sync_storage";
+const SYNC_ALARM_MIN = 30;
+const SYNC_DEBOUNCE_MS = 2000;
+// QUOTA_BYTES_PER_ITEM(8192) 보다 여유 있게
+const SYNC_CHUNK_MAX_BYTES = 7000;
+const SYNC_TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// 다른 기기로 보내지 않는 설정(진단 번들의 REDACTED_SETTINGS 와 같은 인증 정보)
+const SYNC_LOCAL_ONLY_SETTINGS = ["twitchClientId", "twitchAccessToken"];
+
+let syncTimer = null;
+let syncRunning = null;
+
+function syncByteLength(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/** 키 순서와 무관한 비교용 JSON */
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** 동기화 대상 설정(인증 정보 제외) */
+function syncableSettings(settings) {
+  if (!settings) return settings;
+  const out = { ...settings };
+  for (const k of SYNC_LOCAL_ONLY_SETTINGS) delete out[k];
+  return out;
+}
+
+function sameEntry(a, b) {
+  const { updatedAt: _a, ...restA } = a;
+  const { updatedAt: _b, ...restB } = b;
+  return stableJson(restA) === stableJson(restB);
+}
+
+/** 양쪽에 다 있는 항목끼리의 순서가 같은지(추가/삭제는 순서 변경이 아님) */
+function sameOrder(a, b) {
+  const inA = new Set(a);
+  const inB = new Set(b);
+  return stableJson(a.filter((k) => inB.has(k))) === stableJson(b.filter((k) => inA.has(k)));
+}
+
+function entryTime(item) {
+  return item.updatedAt || item.addedAt || 0;
+}
+
+/** 항목 단위로 청크 나누기(항목 하나가 잘리지 않도록). wrap(항목들) 은 실제로 저장할 값 */
+function chunkBySize(prefix, list, wrap) {
+  const chunks = [];
+  let current = [];
+  for (const item of list) {
+    const next = [...current, item];
+    const key = `${prefix}${chunks.length}`;
+    if (current.length && syncByteLength(key, wrap(next)) > SYNC_CHUNK_MAX_BYTES) {
+      chunks.push(current);
+      current = [item];
+    } else {
+      current = next;
+    }
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+function chunkWatchlist(watchlist, rev) {
+  return chunkBySize(SYNC_KEYS.chunkPrefix, watchlist, (items) => ({ rev, items }));
+}
+
+/** 툼스톤은 [key, 삭제 시각] 단위로 나눔 */
+function chunkTombstones(tombstones, rev) {
+  return chunkBySize(SYNC_KEYS.tombstonePrefix, Object.entries(tombstones), (pairs) => ({
+    rev,
+    tombstones: Object.fromEntries(pairs),
+  }));
+}
+
+/** 원격 상태 읽기. 청크가 덜 도착했으면 null */
+async function readRemoteSync() {
+  const all = await chrome.storage.sync.get(null);
+  const meta = all[SYNC_KEYS.meta];
+  if (!meta) {
+    return {
+      empty: true,
+      entries: [],
+      tombstones: {},
+      settings: null,
+      tagSettings: null,
+      settingsUpdatedAt: 0,
+      orderUpdatedAt: 0,
+    };
+  }
+
+  const entries = [];
+  for (let i = 0; i < meta.chunks; i++) {
+    const chunk = all[`${SYNC_KEYS.chunkPrefix}${i}`];
+    if (!chunk || chunk.rev !== meta.rev) return null;
+    entries.push(...chunk.items);
+  }
+  const tombstones = { ...meta.tombstones };
+  for (let i = 0; i < (meta.tombstoneChunks || 0); i++) {
+    const chunk = all[`${SYNC_KEYS.tombstonePrefix}${i}`];
+    if (!chunk || chunk.rev !== meta.rev) return null;
+    Object.assign(tombstones, chunk.tombstones);
+  }
+  const cfg = all[SYNC_KEYS.settings];
+  return {
+    empty: false,
+    meta,
+    entries,
+    tombstones,
+    settings: cfg?.rev === meta.rev ? cfg.settings : null,
+    tagSettings: cfg?.rev === meta.rev ? cfg.tagSettings || null : null,
+    settingsUpdatedAt: meta.settingsUpdatedAt || 0,
+    orderUpdatedAt: meta.orderUpdatedAt || 0,
+  };
+}
+
+/**
+ * 지난 동기화 이후 로컬에서 바뀌거나 새로 생긴 항목에 updatedAt, 지운 항목에 툼스톤.
+ * 새 항목은 addedAt / 파일에 있던 값과 무관하게 지금 시각(다시 추가한 채널이 예전 툼스톤에 지워지지 않게)
+ */
+function stampLocalChanges(watchlist, shadow, now) {
+  const entries = watchlist.map((item) => {
+    const prev = shadow.entries[item.key];
+    if (!prev || !sameEntry(prev, item)) return { ...item, updatedAt: now };
+    return item;
+  });
+
+  const keys = new Set(watchlist.map((x) => x.key));
+  const tombstones = { ...shadow.tombstones };
+  for (const key of Object.keys(shadow.entries)) {
+    if (!keys.has(key)) tombstones[key] = now;
+  }
+  return { entries, tombstones };
+}
+
+/** 순서는 remoteOrder 면 원격, 아니면 로컬을 따르고 한쪽에만 있는 항목은 뒤에 붙임 */
+function mergeWatchlists(localEntries, remoteEntries, tombstones, now, remoteOrder = false) {
+  const merged = new Map();
+  for (const item of [...localEntries, ...remoteEntries]) {
+    const cur = merged.get(item.key);
+    if (!cur || entryTime(item) > entryTime(cur)) merged.set(item.key, item);
+  }
+
+  const nextTombstones = {};
+  for (const [key, deletedAt] of Object.entries(tombstones)) {
+    if (now - deletedAt > SYNC_TOMBSTONE_TTL_MS) continue;
+    const item = merged.get(key);
+    // 삭제 뒤에 다시 추가/수정된 항목은 살림
+    if (item && entryTime(item) > deletedAt) continue;
+    merged.delete(key);
+    nextTombstones[key] = deletedAt;
+  }
+
+  const [first, second] = remoteOrder ? [remoteEntries, localEntries] : [localEntries, remoteEntries];
+  const order = [...first, ...second].map((x) => x.key);
+  const watchlist = [...new Set(order)].filter((key) => merged.has(key)).map((key) => merged.get(key));
+  return { watchlist, tombstones: nextTombstones };
+}
+
+function mergeTombstones(a, b) {
+  const out = { ...a };
+  for (const [key, at] of Object.entries(b)) out[key] = Math.max(out[key] || 0, at);
+  return out;
+}
+
+async function writeRemoteSync({ watchlist, tombstones, settings, tagSettings, settingsUpdatedAt, orderUpdatedAt }) {
+  const rev = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const chunks = chunkWatchlist(watchlist, rev);
+  const tombstoneChunks = chunkTombstones(tombstones, rev);
+
+  const items = {
+    [SYNC_KEYS.meta]: {
+      rev,
+      chunks: chunks.length,
+      tombstoneChunks: tombstoneChunks.length,
+      settingsUpdatedAt,
+      orderUpdatedAt,
+      updatedAt: Date.now(),
+    },
+    [SYNC_KEYS.settings]: { rev, settings, tagSettings },
+  };
+  chunks.forEach((chunkItems, i) => {
+    items[`${SYNC_KEYS.chunkPrefix}${i}`] = { rev, items: chunkItems };
+  });
+  tombstoneChunks.forEach((pairs, i) => {
+    items[`${SYNC_KEYS.tombstonePrefix}${i}`] = { rev, tombstones: Object.fromEntries(pairs) };
+  });
+
+  // set 은 항목 하나만 넘쳐도 전체가 실패하므로 미리 확인(어느 키인지 알려 줌)
+  let total = 0;
+  for (const [k, v] of Object.entries(items)) {
+    const bytes = syncByteLength(k, v);
+    if (bytes > chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+      throw new Error(i18n("errorSyncItemQuota", k, bytes, chrome.storage.sync.QUOTA_BYTES_PER_ITEM));
+    }
+    total += bytes;
+  }
+  if (total > chrome.storage.sync.QUOTA_BYTES) {
+    throw new Error(i18n("errorSyncQuota", Math.round(total / 1024), Math.round(chrome.storage.sync.QUOTA_BYTES / 1024)));
+  }
+
+  await chrome.storage.sync.set(items);
+
+  // 줄어든 청크 정리
+  const existing = Object.keys(await chrome.storage.sync.get(null));
+  const stale = existing.filter(
+    (k) =>
+      (k.startsWith(SYNC_KEYS.chunkPrefix) || k.startsWith(SYNC_KEYS.tombstonePrefix)) &&
+      k !== SYNC_KEYS.meta &&
+      !(k in items)
+  );
+  if (stale.length) await chrome.storage.sync.remove(stale);
+}
+
+async function runSync() {
+  const {
+    [SYNC_LOCAL_KEYS.enabled]: enabled = false,
+    [SYNC_LOCAL_KEYS.shadow]: shadow = { entries: {}, tombstones: {}, settings: null, settingsUpdatedAt: 0, syncedAt: 0 },
+    [STORAGE_KEYS.watchlist]: localWatchlist = [],
+    [TAG_SETTINGS_KEY]: localTagSettings = {},
+  } = await chrome.storage.local.get([
+    SYNC_LOCAL_KEYS.enabled,
+    SYNC_LOCAL_KEYS.shadow,
+    STORAGE_KEYS.watchlist,
+    TAG_SETTINGS_KEY,
+  ]);
+  if (!enabled) return { skipped: true };
+
+  const remote = await readRemoteSync();
+  if (!remote) return { pending: true }; // 다른 기기가 쓰는 중: 다음 변경 이벤트에서 다시
+
+  const now = Date.now();
+  const localSettings = await getSettings();
+  const local = stampLocalChanges(localWatchlist, shadow, now);
+  // 예전 버전이 올린 인증 정보는 무시(아래에서 원격을 다시 쓸 때 지워짐)
+  const remoteSettings = syncableSettings(remote.settings);
+  const remoteHasCredentials = SYNC_LOCAL_ONLY_SETTINGS.some((k) => k in (remote.settings || {}));
+
+  // 처음 켠 기기는 원격 설정/순서를 따름, 이후에는 로컬에서 바뀐 경우에만 수정 시각 갱신
+  const settingsChanged =
+    shadow.syncedAt &&
+    (stableJson(syncableSettings(localSettings)) !== stableJson(syncableSettings(shadow.settings)) ||
+      stableJson(localTagSettings) !== stableJson(shadow.tagSettings || {}));
+  const localSettingsUpdatedAt = settingsChanged ? now : shadow.syncedAt ? shadow.settingsUpdatedAt : 0;
+  const orderChanged = shadow.syncedAt && !sameOrder(localWatchlist.map((x) => x.key), shadow.order || []);
+  const localOrderUpdatedAt = orderChanged ? now : shadow.syncedAt ? shadow.orderUpdatedAt || 0 : 0;
+  const useRemoteOrder = remote.orderUpdatedAt > localOrderUpdatedAt;
+  const orderUpdatedAt = useRemoteOrder ? remote.orderUpdatedAt : localOrderUpdatedAt || now;
+
+  const { watchlist, tombstones } = mergeWatchlists(
+    local.entries,
+    remote.entries,
+    mergeTombstones(local.tombstones, remote.tombstones),
+    now,
+    useRemoteOrder
+  );
+  const useRemoteSettings = remoteSettings && remote.settingsUpdatedAt > localSettingsUpdatedAt;
+  const settings = useRemoteSettings ? { ...localSettings, ...remoteSettings } : localSettings;
+  const tagSettings = useRemoteSettings && remote.tagSettings ? remote.tagSettings : localTagSettings;
+  const settingsUpdatedAt = useRemoteSettings ? remote.settingsUpdatedAt : localSettingsUpdatedAt || now;
+
+  // 로컬 반영(바뀐 경우만: onChanged 로 다시 불려도 변경 없음으로 끝남)
+  if (stableJson(watchlist) !== stableJson(localWatchlist)) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.watchlist]: watchlist });
+  }
+  let appliedSettings = localSettings;
+  if (useRemoteSettings && stableJson(settings) !== stableJson(localSettings)) {
+    appliedSettings = await setSettings(settings);
+    await ensureAlarm();
+  }
+  if (stableJson(tagSettings) !== stableJson(localTagSettings)) {
+    await chrome.storage.local.set({ [TAG_SETTINGS_KEY]: tagSettings });
+  }
+
+  // 원격 반영
+  const remoteChanged =
+    remote.empty ||
+    stableJson(watchlist) !== stableJson(remote.entries) ||
+    stableJson(tombstones) !== stableJson(remote.tombstones) ||
+    stableJson(tagSettings) !== stableJson(remote.tagSettings) ||
+    settingsUpdatedAt !== remote.settingsUpdatedAt ||
+    orderUpdatedAt !== remote.orderUpdatedAt ||
+    remoteHasCredentials;
+  if (remoteChanged) {
+    await writeRemoteSync({
+      watchlist,
+      tombstones,
+      settings: syncableSettings(appliedSettings),
+      tagSettings,
+      settingsUpdatedAt,
+      orderUpdatedAt,
+    });
+  }
+
+  await chrome.storage.local.set({
+    [SYNC_LOCAL_KEYS.shadow]: {
+      entries: Object.fromEntries(watchlist.map((x) => [x.key, x])),
+      tombstones,
+      settings: syncableSettings(appliedSettings),
+      tagSettings,
+      settingsUpdatedAt,
+      order: watchlist.map((x) => x.key),
+      orderUpdatedAt,
+      syncedAt: now,
+    },
+  });
+  return { pushed: remoteChanged, channels: watchlist.length };
+}
+
+/** 동시에 두 번 돌지 않도록 묶고 결과를 syncStatus 에 기록 */
+async function syncNow() {
+  if (syncRunning) return syncRunning;
+
+  syncRunning = (async () => {
+    const { [SYNC_LOCAL_KEYS.status]: prevStatus = {} } = await chrome.storage.local.get([SYNC_LOCAL_KEYS.status]);
+    try {
+      const result = await runSync();
+      if (result.skipped || result.pending) return result;
+      await chrome.storage.local.set({
+        [SYNC_LOCAL_KEYS.status]: {
+          lastSyncAt: Date.now(),
+          lastError: "",
+          bytesInUse: await chrome.storage.sync.getBytesInUse(null),
+          quotaBytes: chrome.storage.sync.QUOTA_BYTES,
+          channels: result.channels,
+        },
+      });
+      return result;
+    } catch (e) {
+      const error = String(e?.message || e);
+      console.warn("[sync] failed:", error);
+      await chrome.storage.local.set({ [SYNC_LOCAL_KEYS.status]: { ...prevStatus, lastError: error, lastErrorAt: Date.now() } });
+      throw e;
+    } finally {
+      syncRunning = null;
+    }
+  })();
+  return syncRunning;
+}
+
+/** 연속 변경(목록 편집, 원격 청크 도착)을 한 번으로 묶음 */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => syncNow().catch(() => {}), SYNC_DEBOUNCE_MS);
+}
+
+async function setSyncEnabled(enabled) {
+  await chrome.storage.local.set({ [SYNC_LOCAL_KEYS.enabled]: !!enabled });
+  if (enabled) {
+    await chrome.alarms.create(SYNC_ALARM_NAME, { periodInMinutes: SYNC_ALARM_MIN });
+    return await syncNow();
+  }
+  await chrome.alarms.clear(SYNC_ALARM_NAME);
+  // 다시 켤 때 그 사이 로컬 변경이 삭제로 오인되지 않도록 기준 상태 초기화
+  await chrome.storage.local.remove([SYNC_LOCAL_KEYS.shadow]);
+  return { skipped: true };
+}
@@ -0,0 +1,41 @@
+/* SOOP/CHZZK Live Notifier - 감시 목록 태그(그룹) 공용 함수(service_worker / options / popup)
+ * - watchlist 항목의 tags: ["main", "games", ...]
+ * - storage.tagSettings: tag -> { notify: boolean } (그룹 기본 알림 on/off)
+ * - 항목의 muted 가 boolean 이면 그 값이 우선, 없으면 태그 중 하나라도 알림 off 면 음소거
+ */
+
+const TAG_SETTINGS_KEY = "tagSettings";
+const TAG_MAX_LENGTH = 20;
+
+function normalizeTag(raw) {
+  return String(raw || "")
+    .trim()
+    .replace(/^#/, "")
+    .replace(/\s+/g, " ")
+    .slice(0, TAG_MAX_LENGTH);
+}
+
+/** "main, games" 같은 입력 -> 중복 없는 태그 배열 */
+function parseTags(text) {
+  return [...new Set(String(text || "").split(",").map(normalizeTag).filter(Boolean))];
+}
+
+/** 목록에 쓰인 태그 -> 항목 수(이름순) */
+function collectTags(watchlist) {
+  const counts = new Map();
+  for (const item of watchlist) {
+    for (const tag of item.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([tag, count]) => ({ tag, count }));
+}
+
+/** 그룹 기본값: 태그 중 하나라도 알림 off 면 음소거 */
+function isGroupMuted(item, tagSettings) {
+  return (item.tags || []).some((tag) => tagSettings?.[tag]?.notify === false);
+}
+
+/** 채널 설정이 없으면 그룹 기본값을 따르는 실제 음소거 여부 */
+function isItemMuted(item, tagSettings) {
+  if (typeof item.muted === "boolean") return item.muted;
+  return isGroupMuted(item, tagSettings);
+}
@@ -0,0 +1,76 @@
+/* SOOP/CHZZK Live Notifier - 폴링 진단 기록(service_worker 에서 importScripts)
+ * - 폴링 1회 = 이벤트 1개, 최근 POLL_TRACE_MAX 개만 보관(ring buffer). 합계가 POLL_TRACE_MAX_BYTES 를 넘으면 오래된 것부터 버림
+ * - 조회한 채널은 모두 남기되, 조회 실패 / 이벤트 / 상태 전환이 없고 처음 본 채널도 아니면 간단 기록만
+ *   (라이브인데 계속 OFF 로 해석되는 경우처럼 "변화 없음"도 매 폴링 확인할 수 있게)
+ * - service worker 가 잠들면 console 로그가 사라지므로 storage 에 남김
+ *
+ * pollTrace: [{ at, reason, durationMs, quiet, channels: [{
+ *   key, name, skipped, fetchOk, error, fetchMs,
+ *   requests: [{ host, status, ms, error? }],          // hostFetch 응답 코드(0 = 네트워크 오류)
+ *   parsed: { isLive, title, category, signature, viewers }, // 플랫폼 응답 해석 결과
+ *   prev: { isLive, signature } | null,                 // null 이면 처음 본 채널
+ *   events: [{ type, verdict: { ok, why, remainingMs? }, decision, webhooks }],
+ *   autoOpen?,                                          // 라이브 시작 시 자동 열기 결과(알림 판정과 별개)
+ * } | { key, unchanged: true, statuses: [status], isLive, signature }] }] // 간단 기록
+ * - decision: notified / cooldown / rule / muted / snoozed / quiet-queued / quiet-dropped
+ * - autoOpen: opened / duplicate / locked(잠금이 풀리면 다시 시도) / error — 음소거/스누즈/방해 금지/쿨다운과 무관
+ */
+
+const POLL_TRACE_KEY = "pollTrace";
+const POLL_TRACE_MAX = 50;
+const POLL_TRACE_MAX_BYTES = 256 * 1024;
+const POLL_TRACE_TEXT_MAX = 120;
+
+function traceText(s) {
+  const text = String(s || "");
+  return text.length > POLL_TRACE_TEXT_MAX ? `${text.slice(0, POLL_TRACE_TEXT_MAX)}…` : text;
+}
+
+/** 채널 하나의 조회 결과 기록(이벤트 판정은 pollAll 에서 events 에 추가) */
+function traceChannel(item, prev, status, requests, fetchMs) {
+  return {
+    key: item.key,
+    name: status.displayName || item.id,
+    skipped: !!status.skipped,
+    fetchOk: !!status.fetchOk,
+    error: traceText(status.error),
+    fetchMs,
+    requests,
+    parsed: {
+      isLive: !!status.isLive,
+      title: traceText(status.title),
+      category: traceText(status.category),
+      signature: traceText(status.signature),
+      viewers: status.viewers ?? null,
+    },
+    prev: prev ? { isLive: !!prev.lastIsLive, signature: traceText(prev.lastSig) } : null,
+    events: [],
+  };
+}
+
+/** 자세히 남길 채널: 조회 실패(백오프 포함) / 이벤트 / 자동 열기 / 라이브·시그니처 전환 / 처음 본 채널 */
+function isTraceWorthy(ch) {
+  if (!ch.fetchOk || ch.events.length || ch.autoOpen || !ch.prev) return true;
+  return ch.prev.isLive !== ch.parsed.isLive || ch.prev.signature !== ch.parsed.signature;
+}
+
+/** 나머지 채널은 응답 코드와 해석 결과만 */
+function compactTraceChannel(ch) {
+  return {
+    key: ch.key,
+    unchanged: true,
+    statuses: ch.requests.map((r) => r.status),
+    isLive: ch.parsed.isLive,
+    signature: ch.parsed.signature,
+  };
+}
+
+async function appendPollTrace(entry) {
+  const { [POLL_TRACE_KEY]: trace = [] } = await chrome.storage.local.get([POLL_TRACE_KEY]);
+  trace.push({ ...entry, channels: entry.channels.map((ch) => (isTraceWorthy(ch) ? ch : compactTraceChannel(ch))) });
+
+  const kept = trace.slice(-POLL_TRACE_MAX);
+  let bytes = kept.reduce((sum, poll) => sum + JSON.stringify(poll).length, 0);
+  while (kept.length > 1 && bytes > POLL_TRACE_MAX_BYTES) bytes -= JSON.stringify(kept.shift()).length;
+  await chrome.storage.local.set({ [POLL_TRACE_KEY]: kept });
+}
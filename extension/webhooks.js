@@ -0,0 +1,202 @@
+/* SOOP/CHZZK Live Notifier - 외부 웹훅 전송(service_worker 에서 importScripts)
+ * - 대상별 URL / 형식(Discord embed, Slack blocks, JSON) / 채널·이벤트 필터
+ * - 실패하면 백오프 재시도(429 는 Retry-After 우선), 대상별 전송 로그 보관
+ *
+ * storage:
+ *   webhooks   - [{ id, name, url, format, channels: [key], events: [type], enabled }]
+ *                (channels 가 비어 있으면 전체 채널)
+ *   webhookLog - targetId -> [{ at, event, channel, ok, status, error, attempts }] (최근 것부터)
+ */
+
+const WEBHOOK_STORAGE_KEYS = {
+  targets: "webhooks",
+  log: "webhookLog",
+};
+
+const WEBHOOK_MAX_ATTEMPTS = 4;
+const WEBHOOK_RETRY_BASE_MS = 2000; // 2초, 4초, 8초
+const WEBHOOK_RETRY_MAX_MS = 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// 폴링이 웹훅 전송을 기다리는 최대 시간(첫 시도 한 번). 남은 재시도는 이어서 진행되고 결과는 로그에 기록
+const WEBHOOK_POLL_WAIT_MS = WEBHOOK_TIMEOUT_MS;
+const WEBHOOK_LOG_MAX = 50;
+const WEBHOOK_EMBED_COLOR = 0xff4c6e;
+
+// 로그 동시 기록 덮어쓰기 방지용 mutex
+let webhookLogMutex = Promise.resolve();
+
+async function getWebhookTargets() {
+  const { [WEBHOOK_STORAGE_KEYS.targets]: targets = [] } = await chrome.storage.local.get([
+    WEBHOOK_STORAGE_KEYS.targets,
+  ]);
+  return targets;
+}
+
+function webhookMatches(target, item, ev) {
+  if (!target.enabled || !target.url) return false;
+  if (target.channels?.length && !target.channels.includes(item.key)) return false;
+  return (target.events || []).includes(ev.type);
+}
+
+/** 형식별 payload. ev: { type, title, message }, status: safeFetchStatus 결과 */
+function buildWebhookPayload(format, { item, ev, status }) {
+  const name = status.displayName || item.id;
+  const platform = platformLabel(item.platform);
+
+  if (format === "discord") {
+    const embed = {
+      title: ev.title,
+      description: ev.message || "",
+      url: status.url,
+      color: WEBHOOK_EMBED_COLOR,
+      author: { name },
+      fields: [{ name: i18n("webhookFieldPlatform"), value: platform, inline: true }],
+      timestamp: new Date().toISOString(),
+    };
+    if (status.category) embed.fields.push({ name: i18n("webhookFieldCategory"), value: status.category, inline: true });
+    if (status.thumbnailUrl) embed.image = { url: status.thumbnailUrl };
+    return { username: "Live Notifier", embeds: [embed] };
+  }
+
+  if (format === "slack") {
+    const section = {
+      type: "section",
+      text: { type: "mrkdwn", text: `*<${status.url}|${ev.title}>*\n${ev.message || ""}` },
+    };
+    if (status.thumbnailUrl) {
+      section.accessory = { type: "image", image_url: status.thumbnailUrl, alt_text: name };
+    }
+    return {
+      text: `${ev.title} - ${ev.message || ""}`,
+      blocks: [
+        section,
+        {
+          type: "context",
+          elements: [{ type: "mrkdwn", text: [platform, status.category].filter(Boolean).join(" · ") }],
+        },
+      ],
+    };
+  }
+
+  return {
+    event: ev.type,
+    title: ev.title,
+    message: ev.message || "",
+    url: status.url,
+    channel: { key: item.key, platform: item.platform, id: item.id, name },
+    status: {
+      isLive: !!status.isLive,
+      title: status.title || "",
+      category: status.category || "",
+      viewers: status.viewers ?? null,
+      thumbnailUrl: status.thumbnailUrl || "",
+    },
+    at: new Date().toISOString(),
+  };
+}
+
+async function postWebhookOnce(url, payload) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    return await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+      signal: ctrl.signal,
+      credentials: "omit",
+      referrerPolicy: "no-referrer",
+    });
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/** 전송 + 재시도. 4xx(429 제외)는 재시도해도 소용없으므로 바로 포기 */
+async function deliverWebhook(target, payload) {
+  let lastStatus = 0;
+  let lastError = "";
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    let retryAfterMs = 0;
+    try {
+      const res = await postWebhookOnce(target.url, payload);
+      lastStatus = res.status;
+      if (res.ok) return { ok: true, status: res.status, error: "", attempts: attempt };
+
+      lastError = `HTTP ${res.status}`;
+      if (res.status !== 429 && res.status < 500) break;
+      retryAfterMs = Number(res.headers.get("retry-after")) * 1000 || 0;
+    } catch (e) {
+      lastStatus = 0;
+      lastError = String(e?.message || e);
+    }
+
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      const backoff = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+      await sleep(Math.min(WEBHOOK_RETRY_MAX_MS, Math.max(backoff, retryAfterMs)));
+    }
+  }
+
+  return { ok: false, status: lastStatus, error: lastError, attempts: WEBHOOK_MAX_ATTEMPTS };
+}
+
+async function appendWebhookLog(targetId, entry) {
+  const run = async () => {
+    const { [WEBHOOK_STORAGE_KEYS.log]: log = {} } = await chrome.storage.local.get([WEBHOOK_STORAGE_KEYS.log]);
+    log[targetId] = [entry, ...(log[targetId] || [])].slice(0, WEBHOOK_LOG_MAX);
+    await chrome.storage.local.set({ [WEBHOOK_STORAGE_KEYS.log]: log });
+  };
+  webhookLogMutex = webhookLogMutex.then(run, run).catch((e) => {
+    console.warn("[webhook] log failed:", String(e?.message || e));
+  });
+  await webhookLogMutex;
+}
+
+async function sendToWebhook(target, { item, ev, status }) {
+  const payload = buildWebhookPayload(target.format, { item, ev, status });
+  const result = await deliverWebhook(target, payload);
+
+  await appendWebhookLog(target.id, {
+    at: Date.now(),
+    event: ev.type,
+    channel: status.displayName || item.id,
+    ...result,
+  });
+  if (!result.ok) console.warn(`[webhook] ${target.name || target.id} failed: ${result.error}`);
+  return result;
+}
+
+/** 폴링 끝에서 전송을 기다리되 WEBHOOK_POLL_WAIT_MS 까지만(느리거나 죽은 대상이 다음 폴링을 막지 않도록) */
+async function settleWebhookDeliveries(deliveries) {
+  if (!deliveries.length) return;
+  let timer = null;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, WEBHOOK_POLL_WAIT_MS);
+  });
+  await Promise.race([Promise.allSettled(deliveries), timeout]);
+  clearTimeout(timer);
+}
+
+/** 이벤트 하나에 해당하는 대상만 골라냄 */
+function matchWebhookTargets(targets, item, ev) {
+  return targets.filter((t) => webhookMatches(t, item, ev));
+}
+
+/** 옵션의 "테스트 전송" */
+async function sendTestWebhook(targetId) {
+  const target = (await getWebhookTargets()).find((t) => t.id === targetId);
+  if (!target) throw new Error("webhook not found");
+
+  const item = { key: "test:webhook", platform: "chzzk", id: "test" };
+  const ev = { type: "test", title: i18n("testNotificationTitle"), message: i18n("webhookTestMessage") };
+  const status = {
+    displayName: "Live Notifier",
+    url: "https://chzzk.naver.com",
+    isLive: true,
+    title: i18n("webhookTestStreamTitle"),
+    category: "",
+    thumbnailUrl: "",
+  };
+  return await sendToWebhook(target, { item, ev, status });
+}